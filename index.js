@@ -3,73 +3,72 @@ import { OrbitControls } from 'jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'jsm/loaders/GLTFLoader.js';
 
 import getStarfield from "./src/getStarfield.js";
+import getConstellations from "./src/getConstellations.js";
+import getMilkyWay from "./src/getMilkyWay.js";
 import { getFresnelMat } from "./src/getFresnelMat.js";
 import getShipExhaust from "./src/getShipExhaust.js";
 import createSolarSystem from "./src/createSolarSystem.js";
+import createOrbitLines from "./src/createOrbitLines.js";
+import createFloatingOrigin from "./src/createFloatingOrigin.js";
+import { SCALE_MODES } from "./src/scaleModes.js";
+import createSimulationClock from "./src/createSimulationClock.js";
+import createLoadingScreen from "./src/createLoadingScreen.js";
 
-// 定义太阳系常量，与createSolarSystem.js中保持一致
-const EARTH_RADIUS = 10; // 地球半径作为基准
-const JUPITER_RADIUS_RATIO = 11.2;
-const SATURN_RADIUS_RATIO = 9.45;
+// 加载界面：所有贴图、模型共用同一个LoadingManager，驱动进度条
+const loadingScreen = createLoadingScreen();
+const loadingManager = loadingScreen.manager;
+
+// 模拟的日期范围，行星在1800-2050年以外改用长期轨道根数（见ephemeris.js）
+const SIM_MIN_TIME = Date.UTC(1800, 0, 1);
+const SIM_MAX_TIME = Date.UTC(2200, 11, 31, 23, 59, 59);
+
+// 模拟时钟：所有公转与自转都由它驱动，支持暂停、变速与倒流，默认从当前时刻开始
+const simClock = createSimulationClock({ minTime: SIM_MIN_TIME, maxTime: SIM_MAX_TIME });
+// 时间面板中需要每帧刷新的元素
+const timePanelElements = {};
 
 const w = window.innerWidth;
 const h = window.innerHeight;
 const scene = new THREE.Scene();
-const camera = new THREE.PerspectiveCamera(75, w / h, 0.1, 10000); // 增加相机远裁剪面，适应更大的场景
+const camera = new THREE.PerspectiveCamera(75, w / h, 0.01, 100000); // 对数深度缓冲下近、远裁剪面可以相差很多个数量级
 camera.position.z = 500; // 增加初始相机距离，以便能看到更大的太阳和更分散的行星
 // 相机相对于飞船的偏移量
 const cameraOffset = new THREE.Vector3(0, 1, 2); // 减小相机距离，使其更靠近飞船
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+// 对数深度缓冲：从米级的飞船到上亿单位外的天体都有足够的深度精度，避免土星环等处的深度冲突
+const renderer = new THREE.WebGLRenderer({ antialias: true, logarithmicDepthBuffer: true });
 renderer.setSize(w, h);
 document.body.appendChild(renderer.domElement);
 // THREE.ColorManagement.enabled = true;
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
 
-// 创建太阳系
-const planets = createSolarSystem();
+// 创建太阳系，返回的控制器负责所有天体的动画
+const planets = createSolarSystem(loadingManager);
 scene.add(planets.solarSystem);
 
-// 为木星和土星添加专门的点光源
-const jupiterLight = new THREE.PointLight(0xffffee, 150, 0, 1); // 强度降低为原来的1/100
-scene.add(jupiterLight);
-
-const saturnLight = new THREE.PointLight(0xffffee, 120, 0, 1); // 强度降低为原来的1/100
-scene.add(saturnLight);
-
-// 为木星和土星添加聚光灯，模拟太阳光照射，调整为大范围照射
-const jupiterSpotlight = new THREE.SpotLight(0xffffee, 20, 0, Math.PI*0.75, 3, 2); // 角度扩大到135度
-scene.add(jupiterSpotlight);
-
-const saturnSpotlight = new THREE.SpotLight(0xffffee, 16, 0, Math.PI*0.75, 3, 2); // 角度扩大到135度
-scene.add(saturnSpotlight);
-
-// 提取所需的行星引用，以便在动画循环中使用
-const { 
-  solarSystem, sunMesh, sunCoreMesh, sunGlowMesh, sunShaderMaterial, solarFlareRingMaterial,
-  sunAtmosphereMaterial, sunEruptionSystem,
-  mercurySystem, mercuryMesh,
-  venusSystem, venusMesh,
-  earthSystem, earthMesh, lightsMesh, cloudsMesh, earthGlowMesh,
-  moonSystem, moonMesh,
-  marsSystem, marsMesh,
-  jupiterSystem, jupiterMesh,
-  saturnSystem, saturnMesh, saturnRingMesh,
-  uranusSystem, uranusMesh, uranusRingMesh,
-  neptuneSystem, neptuneMesh,
-  plutoSystem, plutoMesh
-} = planets;
-
-// 获取moonGlowMesh引用
-const moonGlowMesh = moonSystem.children.find(child => child.material && child.material.type === 'ShaderMaterial');
-
-// 创建并添加星空，确保它在场景最前面
-const stars = getStarfield({numStars: 10000}); // 减少星星数量到原来的1/3(从15000减到5000)
-scene.add(stars);
+// 轨道线图层，与天体使用同一套轨道模型
+const orbitLines = createOrbitLines(planets);
+
+// 浮动原点：场景原点跟随飞船，太阳系整体反向平移
+const floatingOrigin = createFloatingOrigin({ threshold: SCALE_MODES[planets.getScaleMode()].originThreshold });
+floatingOrigin.addWorld(planets.solarSystem);
+
+// 创建并添加星空：按真实星表放置的亮星，位于无穷远处，随相机旋转但不随飞船移动
+const stars = getStarfield({numStars: 10000, loadingManager});
+scene.add(stars.points);
 console.log("星空对象已添加:", stars);
 
-// 添加环境光，使场景不会太暗
-const ambientLight = new THREE.AmbientLight(0x404040, 2.0); // 增加环境光强度，从0.5到2.0
+// 星座连线与名称，帮助辨认猎户座等星座
+const constellations = getConstellations({ loadingManager });
+scene.add(constellations.group);
+
+// 银河与深空天体背景层（仙女座星系、大小麦哲伦云、猎户座大星云）
+const milkyWay = getMilkyWay();
+scene.add(milkyWay.group);
+
+// 微弱的环境光，使背阳面隐约可见；强度随自动曝光反向调整，在任何位置看起来都一样
+const AMBIENT_INTENSITY = 0.4;
+const ambientLight = new THREE.AmbientLight(0x404040, AMBIENT_INTENSITY);
 scene.add(ambientLight);
 
 // 加载Gladiator模型
@@ -77,7 +76,8 @@ const gladiatorGroup = new THREE.Group();
 scene.add(gladiatorGroup);
 
 // 为飞船添加专门的聚光灯
-const shipSpotlight = new THREE.SpotLight(0xffffff, 100, 20, Math.PI / 4, 0.5, 2);
+const SHIP_SPOTLIGHT_INTENSITY = 100;
+const shipSpotlight = new THREE.SpotLight(0xffffff, SHIP_SPOTLIGHT_INTENSITY, 20, Math.PI / 4, 0.5, 2);
 shipSpotlight.position.set(0, 2.5, 0); // 缩小上方距离，以匹配较小的飞船
 shipSpotlight.target = gladiatorGroup; // 聚光灯始终指向飞船
 shipSpotlight.castShadow = true;
@@ -104,19 +104,27 @@ const shipExhaust = getShipExhaust({
   size: { min: 0.025, max: 0.05 }, // 缩小粒子尺寸以匹配较小的飞船
   lifetime: { min: 0.5, max: 0.6 }, // 设置粒子生命周期
   speed: { min: 0.2, max: 0.6 },    // 减小粒子速度，以匹配较小的飞船
-  spread: { x: 0.05, y: 0.05, z: 0.08 } // 调整扩散范围，使喷射更集中
+  spread: { x: 0.05, y: 0.05, z: 0.08 }, // 调整扩散范围，使喷射更集中
+  loadingManager
 });
 
 // 将粒子系统添加到场景中
 scene.add(shipExhaust.particles);
 
+// 飞船与相机以场景坐标定位，原点移动时一起平移；喷焰粒子相对粒子系统定位，而粒子系统每帧跟随飞船，无需另行平移
+floatingOrigin.addMovable(gladiatorGroup, camera, shipSpotlight);
+
+// 飞船的材质，自发光强度随自动曝光反向调整
+const SHIP_EMISSIVE_INTENSITY = 0.5; // 降低自发光强度，让反射光更明显
+const shipMaterials = [];
+
 // 设置模型加载器
-const gltfLoader = new GLTFLoader();
+const gltfLoader = new GLTFLoader(loadingManager);
 gltfLoader.load('./model/source/Gladiator.glb', (gltf) => {
   const model = gltf.scene;
   
   // 加载模型贴图
-  const textureLoader = new THREE.TextureLoader();
+  const textureLoader = new THREE.TextureLoader(loadingManager);
   const gladiatorTexture = textureLoader.load('./model/textures/Texture.png');
   const gladiatorEmission = textureLoader.load('./model/textures/Emission.png');
   const gladiatorMetalness = textureLoader.load('./model/textures/Metalness.png');
@@ -130,7 +138,7 @@ gltfLoader.load('./model/source/Gladiator.glb', (gltf) => {
         map: gladiatorTexture,
         emissiveMap: gladiatorEmission,
         emissive: 0xffffff,
-        emissiveIntensity: 0.5, // 降低自发光强度，让反射光更明显
+        emissiveIntensity: SHIP_EMISSIVE_INTENSITY / renderer.toneMappingExposure,
         metalnessMap: gladiatorMetalness,
         metalness: 0.8, // 调整金属度以更好地反射光线
         roughnessMap: gladiatorRoughness,
@@ -143,6 +151,7 @@ gltfLoader.load('./model/source/Gladiator.glb', (gltf) => {
       node.receiveShadow = true;
       
       node.material = material;
+      shipMaterials.push(material);
     }
   });
   
@@ -154,7 +163,7 @@ gltfLoader.load('./model/source/Gladiator.glb', (gltf) => {
   gladiatorGroup.add(model);
   
   // 设置Gladiator的初始位置（靠近地球）
-  gladiatorGroup.position.copy(earthSystem.position);
+  planets.getWorldPosition('earth', gladiatorGroup.position);
   gladiatorGroup.position.y += 20;
   gladiatorGroup.position.z += 60; // 增加一点距离
   
@@ -215,6 +224,10 @@ gltfLoader.load('./model/source/Gladiator.glb', (gltf) => {
 
 // 记录上一帧的时间戳，用于计算帧间隔
 let lastTime = 0;
+// 上一帧飞船的漂浮偏移量
+let shipFloatOffset = 0;
+// 切换尺度模式时飞船跟随的天体，及飞船相对它的偏移（以天体半径计）
+let scaleAnchor = null;
 
 // 确保粒子系统持续运行，即使在静止状态
 function tickParticles() {
@@ -321,34 +334,44 @@ function tickParticles() {
 // 立即启动粒子系统持续更新
 tickParticles();
 
-// 更新木星和土星的光源位置，使其始终位于太阳方向
-function updateGasGiantLights() {
-  // 获取木星和土星的位置
-  const jupiterPosition = new THREE.Vector3();
-  jupiterSystem.getWorldPosition(jupiterPosition);
-  
-  const saturnPosition = new THREE.Vector3();
-  saturnSystem.getWorldPosition(saturnPosition);
-  
-  // 计算从行星到太阳的方向向量
-  const toSun = new THREE.Vector3(0, 0, 0).sub(jupiterPosition).normalize();
-  
-  // 将光源放在行星附近，刚好位于行星表面
-  jupiterLight.position.copy(jupiterPosition).addScaledVector(toSun, EARTH_RADIUS * JUPITER_RADIUS_RATIO * 1.1);
-  
-  // 对土星也做同样处理
-  const saturnToSun = new THREE.Vector3(0, 0, 0).sub(saturnPosition).normalize();
-  saturnLight.position.copy(saturnPosition).addScaledVector(saturnToSun, EARTH_RADIUS * SATURN_RADIUS_RATIO * 1.1);
-  
-  // 更新聚光灯位置和目标
-  // 将聚光灯放在太阳方向，但距离增加到3000，确保足够远
-  jupiterSpotlight.position.copy(jupiterPosition).addScaledVector(toSun, -3000);
-  jupiterSpotlight.target = jupiterMesh;
-  jupiterSpotlight.lookAt(jupiterPosition);
-  
-  saturnSpotlight.position.copy(saturnPosition).addScaledVector(saturnToSun, -3000);
-  saturnSpotlight.target = saturnMesh;
-  saturnSpotlight.lookAt(saturnPosition);
+// 太阳进入视野时星空的曝光量，以及曝光量的适应速度（每秒）
+const STAR_EXPOSURE_SUN = 0.02;
+const STAR_EXPOSURE_RATE = 3;
+const _sunDirection = new THREE.Vector3();
+const _viewDirection = new THREE.Vector3();
+
+// 太阳进入视野时降低星空的曝光量，移出视野后逐渐恢复，模拟眼睛对强光的适应
+function updateStarExposure(delta) {
+  planets.getWorldPosition('sun', _sunDirection).sub(camera.position).normalize();
+  camera.getWorldDirection(_viewDirection);
+  const angle = _sunDirection.angleTo(_viewDirection);
+  // 视野对角线的半角
+  const halfFov = Math.atan(Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * Math.sqrt(1 + camera.aspect * camera.aspect));
+  const sunVisibility = 1 - THREE.MathUtils.smoothstep(angle, halfFov, halfFov * 1.2);
+  const target = THREE.MathUtils.lerp(1, STAR_EXPOSURE_SUN, sunVisibility);
+  const exposure = stars.getExposure();
+  stars.setExposure(exposure + (target - exposure) * Math.min(1, delta * STAR_EXPOSURE_RATE));
+}
+
+// 自动曝光：照度每降低为1/k，曝光量提高k^AUTO_EXPOSURE_STRENGTH倍，外行星暗一些但仍看得清
+const AUTO_EXPOSURE_STRENGTH = 0.75;
+const AUTO_EXPOSURE_MIN = 0.5;
+const AUTO_EXPOSURE_MAX = 300;
+const AUTO_EXPOSURE_RATE = 1.5;
+
+// 按相机处的太阳照度调整曝光量，飞往外行星时逐渐适应；飞船的灯光、自发光与环境光不随之变亮
+function updateAutoExposure(delta) {
+  const irradiance = planets.getSunIrradiance(camera.position);
+  const target = THREE.MathUtils.clamp(
+    Math.pow(irradiance, -AUTO_EXPOSURE_STRENGTH), AUTO_EXPOSURE_MIN, AUTO_EXPOSURE_MAX
+  );
+  // 在对数空间中过渡，曝光量相差很多倍时也按相同的速度适应
+  const current = Math.log(renderer.toneMappingExposure);
+  const exposure = Math.exp(current + (Math.log(target) - current) * Math.min(1, delta * AUTO_EXPOSURE_RATE));
+  renderer.toneMappingExposure = exposure;
+  ambientLight.intensity = AMBIENT_INTENSITY / exposure;
+  shipSpotlight.intensity = SHIP_SPOTLIGHT_INTENSITY / exposure;
+  shipMaterials.forEach((material) => { material.emissiveIntensity = SHIP_EMISSIVE_INTENSITY / exposure; });
 }
 
 function animate(timestamp = 0) {
@@ -358,143 +381,33 @@ function animate(timestamp = 0) {
   const delta = (timestamp - lastTime) / 1000;
   lastTime = timestamp;
 
-  // 更新木星和土星的光源位置
-  updateGasGiantLights();
-
-  // 额外处理：确保木星和土星的材质有自发光属性
-  if (jupiterMesh && jupiterMesh.material) {
-    if (!jupiterMesh.material.emissive) {
-      jupiterMesh.material.emissive = new THREE.Color(0x553311);
-      jupiterMesh.material.emissiveIntensity = 0.3;
-      jupiterMesh.material.needsUpdate = true;
-    }
-  }
-  
-  if (saturnMesh && saturnMesh.material) {
-    if (!saturnMesh.material.emissive) {
-      saturnMesh.material.emissive = new THREE.Color(0x554422);
-      saturnMesh.material.emissiveIntensity = 0.3;
-      saturnMesh.material.needsUpdate = true;
-    }
-  }
-
-  // 更新太阳着色器的时间参数
-  if (sunShaderMaterial) {
-    sunShaderMaterial.uniforms.time.value += delta;
-  }
-
-  // 更新太阳耀斑环的时间参数
-  if (solarFlareRingMaterial) {
-    solarFlareRingMaterial.uniforms.time.value += delta;
-  }
-
-  // 更新太阳大气光晕的时间参数
-  if (sunAtmosphereMaterial) {
-    sunAtmosphereMaterial.uniforms.time.value += delta;
-  }
+  // 飞船离场景原点过远时重新定位原点，保证参与渲染的坐标足够小
+  floatingOrigin.update(gladiatorGroup.position);
 
-  // 更新太阳喷发粒子系统
-  if (sunEruptionSystem && sunEruptionSystem.update) {
-    sunEruptionSystem.update(delta);
-  }
+  // 推进模拟时钟并刷新时间显示
+  simClock.update(delta);
+  updateTimePanel();
 
-  // 行星自转与公转动画
-  
-  // 基础单位 - 与createSolarSystem.js中保持一致
-  const AU_SCALE = 400; // 天文单位的缩放比例，从250增加到400
-  
-  // 各行星距离太阳的天文单位值
-  const MERCURY_AU = 0.39;
-  const VENUS_AU = 0.72;
-  const EARTH_AU = 1.0;
-  const MARS_AU = 1.52;
-  const JUPITER_AU = 5.2;
-  const SATURN_AU = 9.54;
-  const URANUS_AU = 19.2;
-  const NEPTUNE_AU = 30.06;
-  const PLUTO_AU = 39.5;
-  
-  // 水星 - 自转慢，公转快
-  mercuryMesh.rotation.y += 0.001;
-  const mercuryOrbitAngle = Date.now() * 0.0002;
-  mercurySystem.position.x = Math.cos(mercuryOrbitAngle) * AU_SCALE * MERCURY_AU * 5 / 15; // 从扩大5倍改为原来的1/3
-  mercurySystem.position.z = Math.sin(mercuryOrbitAngle) * AU_SCALE * MERCURY_AU * 5 / 15; // 从扩大5倍改为原来的1/3
-  
-  // 金星 - 自转反向且非常慢，公转适中
-  venusMesh.rotation.y -= 0.0005;
-  const venusOrbitAngle = Date.now() * 0.00015;
-  venusSystem.position.x = Math.cos(venusOrbitAngle) * AU_SCALE * VENUS_AU;
-  venusSystem.position.z = Math.sin(venusOrbitAngle) * AU_SCALE * VENUS_AU;
-  
-  // 地球系统
-  earthMesh.rotation.y += 0.002;
-  lightsMesh.rotation.y += 0.002;
-  cloudsMesh.rotation.y += 0.0023;
-  earthGlowMesh.rotation.y += 0.002;
-  
-  // 地球公转
-  const earthOrbitAngle = Date.now() * 0.0001;
-  earthSystem.position.x = Math.cos(earthOrbitAngle) * AU_SCALE * EARTH_AU;
-  earthSystem.position.z = Math.sin(earthOrbitAngle) * AU_SCALE * EARTH_AU;
-  
-  // 月球 - 月球围绕地球的距离为地球半径的2.5倍
-  moonMesh.rotation.y += 0.001;
-  moonGlowMesh.rotation.y += 0.001;
-  const moonOrbitAngle = Date.now() * 0.0005;
-  const EARTH_RADIUS = 10;
-  moonSystem.position.x = Math.cos(moonOrbitAngle) * EARTH_RADIUS * 2.5;
-  moonSystem.position.z = Math.sin(moonOrbitAngle) * EARTH_RADIUS * 2.5;
-  
-  // 火星
-  marsMesh.rotation.y += 0.0019;
-  const marsOrbitAngle = Date.now() * 0.00008;
-  marsSystem.position.x = Math.cos(marsOrbitAngle) * AU_SCALE * MARS_AU;
-  marsSystem.position.z = Math.sin(marsOrbitAngle) * AU_SCALE * MARS_AU;
-  
-  // 木星 - 自转很快，公转慢
-  jupiterMesh.rotation.y += 0.005;
-  const jupiterOrbitAngle = Date.now() * 0.00004;
-  jupiterSystem.position.x = Math.cos(jupiterOrbitAngle) * AU_SCALE * JUPITER_AU;
-  jupiterSystem.position.z = Math.sin(jupiterOrbitAngle) * AU_SCALE * JUPITER_AU;
-  
-  // 土星 - 自转快，公转更慢
-  saturnMesh.rotation.y += 0.0045;
-  saturnRingMesh.rotation.z += 0.0002; // 环也稍微旋转
-  const saturnOrbitAngle = Date.now() * 0.00003;
-  saturnSystem.position.x = Math.cos(saturnOrbitAngle) * AU_SCALE * SATURN_AU;
-  saturnSystem.position.z = Math.sin(saturnOrbitAngle) * AU_SCALE * SATURN_AU;
-  
-  // 天王星 - 特殊的自转（横向）
-  uranusMesh.rotation.z += 0.003;
-  uranusRingMesh.rotation.z += 0.0005; // 环也稍微旋转
-  const uranusOrbitAngle = Date.now() * 0.00002;
-  uranusSystem.position.x = Math.cos(uranusOrbitAngle) * AU_SCALE * URANUS_AU;
-  uranusSystem.position.z = Math.sin(uranusOrbitAngle) * AU_SCALE * URANUS_AU;
-  
-  // 海王星
-  neptuneMesh.rotation.y += 0.004;
-  const neptuneOrbitAngle = Date.now() * 0.000015;
-  neptuneSystem.position.x = Math.cos(neptuneOrbitAngle) * AU_SCALE * NEPTUNE_AU;
-  neptuneSystem.position.z = Math.sin(neptuneOrbitAngle) * AU_SCALE * NEPTUNE_AU;
-  
-  // 冥王星
-  plutoMesh.rotation.y += 0.001;
-  const plutoOrbitAngle = Date.now() * 0.00001;
-  plutoSystem.position.x = Math.cos(plutoOrbitAngle) * AU_SCALE * PLUTO_AU;
-  plutoSystem.position.z = Math.sin(plutoOrbitAngle) * AU_SCALE * PLUTO_AU;
-  
-  // 太阳自转
-  sunMesh.rotation.y += 0.0005;
-  sunCoreMesh.rotation.y += 0.0005; // 内核层与主太阳同步旋转
-  sunGlowMesh.rotation.y += 0.0003;
+  // 太阳系动画：公转、自转与太阳特效，均由模拟时钟驱动
+  planets.update(simClock.getTime(), delta);
+  updateScaleTransition();
+  orbitLines.update(simClock.getTime(), camera);
+  
+  // 星空闪烁与曝光
+  stars.update(timestamp / 1000);
+  updateStarExposure(delta);
+  updateAutoExposure(delta);
   
   // Gladiator飞船控制
   if (gladiatorGroup) {
     // 让Gladiator模型在太空中漂浮（放大10倍）
     const floatAngle = Date.now() * 0.001;
     // 保留一点点漂浮效果，但减小幅度
+    // 只叠加漂浮偏移的变化量，使飞船能飞离黄道面（例如前往轨道倾斜的天体）
     const floatAmount = shipControls.pitchUp || shipControls.pitchDown ? 0 : 2;
-    gladiatorGroup.position.y = Math.sin(floatAngle) * floatAmount;
+    const floatOffset = Math.sin(floatAngle) * floatAmount;
+    gladiatorGroup.position.y += floatOffset - shipFloatOffset;
+    shipFloatOffset = floatOffset;
     
     // 更新聚光灯位置，使其跟随飞船
     if (shipSpotlight) {
@@ -533,9 +446,10 @@ function animate(timestamp = 0) {
     let targetRotation = new THREE.Quaternion().copy(currentRotation);
     let needRotationUpdate = false;
     
-    // 默认自动前进，除非按下Space键停止
+    // 默认自动前进，除非按下Space键停止；速度按尺度模式调整
+    const shipSpeedScale = SCALE_MODES[planets.getScaleMode()].shipSpeed;
     if (!shipControls.stop) {
-      gladiatorGroup.position.addScaledVector(direction, shipControls.speed);
+      gladiatorGroup.position.addScaledVector(direction, shipControls.speed * shipSpeedScale);
     }
     
     // 应用俯仰控制 (W/S键)
@@ -555,7 +469,7 @@ function animate(timestamp = 0) {
     // 应用左右偏移和倾斜控制 (A/D键)
     if (shipControls.bankLeft && !shipControls.stop) {
       // 向左偏移
-      gladiatorGroup.position.addScaledVector(rightDirection, shipControls.speed * 0.05);
+      gladiatorGroup.position.addScaledVector(rightDirection, shipControls.speed * shipSpeedScale * 0.05);
       
       // 逆时针旋转飞船（绕z轴）
       // 限制倾斜角度不超过30度
@@ -571,7 +485,7 @@ function animate(timestamp = 0) {
     }
     if (shipControls.bankRight && !shipControls.stop) {
       // 向右偏移
-      gladiatorGroup.position.addScaledVector(rightDirection, shipControls.speed * -0.05);
+      gladiatorGroup.position.addScaledVector(rightDirection, shipControls.speed * shipSpeedScale * -0.05);
       
       // 顺时针旋转飞船（绕z轴）
       // 限制倾斜角度不超过30度
@@ -663,6 +577,15 @@ function handleKeyDown(event) {
       shipControls.boost = true;
       shipControls.speed = shipControls.boostSpeed;
       break;
+    case 'KeyP':
+      simClock.togglePause();
+      break;
+    case 'BracketLeft':
+      simClock.slower();
+      break;
+    case 'BracketRight':
+      simClock.faster();
+      break;
     case 'Space':
       shipControls.stop = true;
       // 停止飞行时清除所有粒子
@@ -767,41 +690,341 @@ function createInstructionPanel() {
   stopText.style.fontSize = '16px';
   panel.appendChild(stopText);
   
+  // 添加时间控制说明
+  const timeText = document.createElement('p');
+  timeText.textContent = '按P键暂停/继续，[ ]键调节时间流速';
+  timeText.style.textAlign = 'center';
+  timeText.style.margin = '5px 0';
+  timeText.style.fontSize = '16px';
+  panel.appendChild(timeText);
+  
   document.body.appendChild(panel);
 }
 
 // 创建说明面板
 createInstructionPanel();
 
-// 确保星空可见
-setTimeout(() => {
-  const starfield = scene.getObjectByName("starfield");
-  if (starfield) {
-    console.log("星空对象状态:", {
-      可见性: starfield.visible,
-      位置: starfield.position,
-      星星数量: starfield.geometry.attributes.position.count,
-      材质设置: {
-        size: starfield.material.size,
-        透明度: starfield.material.opacity,
-        深度测试: starfield.material.depthTest
-      }
-    });
-    
-    // 强制设置为可见
-    starfield.visible = true;
-    starfield.material.needsUpdate = true;
+// 在页面右上角添加模拟时间面板
+function createTimePanel() {
+  const panel = document.createElement('div');
+  panel.style.position = 'absolute';
+  panel.style.top = '20px';
+  panel.style.right = '20px';
+  panel.style.padding = '15px';
+  panel.style.backgroundColor = 'rgba(0, 50, 100, 0.6)'; // 与说明框保持一致
+  panel.style.borderRadius = '10px';
+  panel.style.boxShadow = '0 0 10px rgba(0, 100, 200, 0.5)';
+  panel.style.color = 'white';
+  panel.style.fontFamily = 'Arial, sans-serif';
+  panel.style.textAlign = 'center';
+  panel.style.zIndex = '1000';
+  
+  // 日期时间显示
+  const dateText = document.createElement('div');
+  dateText.style.fontSize = '18px';
+  dateText.style.color = '#0cf';
+  dateText.style.fontFamily = 'monospace';
+  panel.appendChild(dateText);
+  
+  // 当前倍率显示
+  const rateText = document.createElement('div');
+  rateText.style.margin = '5px 0 10px 0';
+  rateText.style.fontSize = '14px';
+  panel.appendChild(rateText);
+  
+  // 创建控制按钮
+  function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.margin = '0 4px';
+    button.style.padding = '4px 10px';
+    button.style.background = 'rgba(0, 100, 200, 0.6)';
+    button.style.border = '1px solid #0cf';
+    button.style.borderRadius = '5px';
+    button.style.color = 'white';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    panel.appendChild(button);
+    return button;
+  }
+  
+  createButton('⏪', () => simClock.slower());
+  const playButton = createButton('⏸', () => simClock.togglePause());
+  createButton('⏩', () => simClock.faster());
+  
+  // 日期选择器，可跳转到1800-2200年间的任意日期
+  const dateRow = document.createElement('div');
+  dateRow.style.marginTop = '10px';
+  panel.appendChild(dateRow);
+  
+  const dateInput = document.createElement('input');
+  dateInput.type = 'date';
+  dateInput.min = '1800-01-01';
+  dateInput.max = '2200-12-31';
+  dateInput.style.background = 'rgba(0, 30, 60, 0.8)';
+  dateInput.style.border = '1px solid #0cf';
+  dateInput.style.borderRadius = '5px';
+  dateInput.style.color = 'white';
+  dateInput.addEventListener('change', () => {
+    if (!dateInput.value) return;
+    const [year, month, day] = dateInput.value.split('-').map(Number);
+    const target = new Date(0);
+    target.setUTCFullYear(year, month - 1, day); // 避免Date.UTC把0-99年映射到1900年代
+    simClock.setTime(target.getTime());
+  });
+  dateRow.appendChild(dateInput);
+  
+  // 回到当前时刻
+  const nowButton = document.createElement('button');
+  nowButton.textContent = '现在';
+  nowButton.style.marginLeft = '6px';
+  nowButton.style.padding = '2px 8px';
+  nowButton.style.background = 'rgba(0, 100, 200, 0.6)';
+  nowButton.style.border = '1px solid #0cf';
+  nowButton.style.borderRadius = '5px';
+  nowButton.style.color = 'white';
+  nowButton.style.cursor = 'pointer';
+  nowButton.addEventListener('click', () => simClock.setTime(Date.now()));
+  dateRow.appendChild(nowButton);
+  
+  timePanelElements.dateText = dateText;
+  timePanelElements.rateText = rateText;
+  timePanelElements.playButton = playButton;
+  timePanelElements.dateInput = dateInput;
+  
+  document.body.appendChild(panel);
+}
+
+// 刷新时间面板显示
+function updateTimePanel() {
+  if (!timePanelElements.dateText) return;
+  
+  // 统一使用UTC时间显示，格式为 YYYY-MM-DD HH:mm:ss UTC
+  const date = simClock.getDate();
+  timePanelElements.dateText.textContent = date.toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+  timePanelElements.rateText.textContent = simClock.isPaused()
+    ? `已暂停（${simClock.getRateLabel()}）`
+    : `时间流速：${simClock.getRateLabel()}`;
+  timePanelElements.playButton.textContent = simClock.isPaused() ? '▶' : '⏸';
+  
+  // 用户未在编辑时，让日期选择器跟随模拟日期
+  const dateValue = date.toISOString().slice(0, 10);
+  if (document.activeElement !== timePanelElements.dateInput && timePanelElements.dateInput.value !== dateValue) {
+    timePanelElements.dateInput.value = dateValue;
+  }
+}
+
+// 创建时间面板
+createTimePanel();
+
+// 当前选中的天体，其轨道线高亮显示
+let selectedBody = 'earth';
+orbitLines.setSelected(selectedBody);
+
+/**
+ * 将飞船传送到指定天体附近，从向阳侧接近并从天体旁边掠过
+ * @param {String} name - 天体名称
+ */
+function flyToBody(name) {
+  const body = planets.getBody(name);
+  if (!body) return;
+  selectedBody = name;
+  orbitLines.setSelected(name);
+  
+  const target = planets.getWorldPosition(name);
+  // 场景原点跟随飞船，太阳不一定在原点；对太阳本身则从+z方向接近
+  const toSun = planets.getWorldPosition('sun').sub(target);
+  if (toSun.lengthSq() > 0) {
+    toSun.normalize();
   } else {
-    console.log("未找到星空对象！");
+    toSun.set(0, 0, 1);
+  }
+  gladiatorGroup.position.copy(target).addScaledVector(toSun, body.radius * 6 + 30);
+  
+  // 瞄准天体侧面的一点，避免直接穿过天体
+  const side = new THREE.Vector3().crossVectors(toSun, new THREE.Vector3(0, 1, 0)).normalize();
+  if (side.lengthSq() === 0) side.set(1, 0, 0);
+  const aimPoint = target.addScaledVector(side, body.radius * 1.5);
+  
+  // 飞船前方为局部-z轴，而lookAt使+z轴朝向目标，因此看向反方向的点
+  gladiatorGroup.lookAt(gladiatorGroup.position.clone().multiplyScalar(2).sub(aimPoint));
+}
+
+/**
+ * 切换尺度模式：飞船随最近的天体一起移动，相机裁剪面覆盖新旧两个模式
+ * @param {String} mode - 尺度模式名称，见scaleModes.js
+ */
+function setScaleMode(mode) {
+  if (mode === planets.getScaleMode()) return;
+  
+  // 以表面距离最近的天体为锚点
+  const shipPosition = gladiatorGroup.position;
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const name of planets.getBodyNames()) {
+    const distance = planets.getWorldPosition(name).distanceTo(shipPosition) - planets.getBody(name).radius;
+    if (distance < nearestDistance) {
+      nearest = name;
+      nearestDistance = distance;
+    }
+  }
+  const anchorBody = planets.getBody(nearest);
+  scaleAnchor = {
+    name: nearest,
+    offset: shipPosition.clone().sub(planets.getWorldPosition(nearest)).divideScalar(anchorBody.radius)
+  };
+  
+  const from = SCALE_MODES[planets.getScaleMode()].camera;
+  const to = SCALE_MODES[mode].camera;
+  camera.near = Math.min(from.near, to.near);
+  camera.far = Math.max(from.far, to.far);
+  camera.updateProjectionMatrix();
+  floatingOrigin.setThreshold(SCALE_MODES[mode].originThreshold);
+  
+  planets.setScaleMode(mode);
+}
+
+// 尺度模式过渡期间让飞船保持在锚点天体附近，过渡结束后采用新模式的相机裁剪面
+function updateScaleTransition() {
+  if (!scaleAnchor) return;
+  const anchorBody = planets.getBody(scaleAnchor.name);
+  planets.getWorldPosition(scaleAnchor.name, gladiatorGroup.position)
+    .addScaledVector(scaleAnchor.offset, anchorBody.radius);
+  
+  if (!planets.isScaleTransitioning()) {
+    const { near, far } = SCALE_MODES[planets.getScaleMode()].camera;
+    camera.near = near;
+    camera.far = far;
+    camera.updateProjectionMatrix();
+    scaleAnchor = null;
   }
-}, 2000);
-
-// 在createSolarSystem.js中已经创建了太阳光源，需要调整其范围
-// 获取太阳光源并修改其范围
-const sunLight = solarSystem.children.find(child => child instanceof THREE.PointLight);
-if (sunLight) {
-  // 设置光源范围与强度，与createSolarSystem.js中保持一致
-  sunLight.distance = 10000000000; // 扩大500倍(原来2000000000)
-  sunLight.intensity = 1000000; // 扩大50倍(原来200000)
-  console.log("已调整太阳光源范围:", sunLight.distance, "强度:", sunLight.intensity);
-}
\ No newline at end of file
+}
+
+// 在页面右下角添加天体导航面板，卫星列在其中心天体之下
+function createBodyPanel() {
+  const panel = document.createElement('div');
+  panel.style.position = 'absolute';
+  panel.style.bottom = '20px';
+  panel.style.right = '20px';
+  panel.style.padding = '15px';
+  panel.style.backgroundColor = 'rgba(0, 50, 100, 0.6)'; // 与说明框保持一致
+  panel.style.borderRadius = '10px';
+  panel.style.boxShadow = '0 0 10px rgba(0, 100, 200, 0.5)';
+  panel.style.color = 'white';
+  panel.style.fontFamily = 'Arial, sans-serif';
+  panel.style.zIndex = '1000';
+  
+  const title = document.createElement('div');
+  title.textContent = '天体导航';
+  title.style.marginBottom = '8px';
+  title.style.fontSize = '16px';
+  title.style.color = '#0cf';
+  panel.appendChild(title);
+  
+  const select = document.createElement('select');
+  select.style.background = 'rgba(0, 30, 60, 0.8)';
+  select.style.border = '1px solid #0cf';
+  select.style.borderRadius = '5px';
+  select.style.color = 'white';
+  select.style.padding = '2px';
+  for (const name of planets.getBodyNames()) {
+    const { body } = planets.getBody(name);
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = body.parent
+      ? `\u3000└ ${body.chineseName} ${body.label}`
+      : `${body.chineseName} ${body.label}`;
+    select.appendChild(option);
+  }
+  select.value = selectedBody;
+  panel.appendChild(select);
+  
+  const goButton = document.createElement('button');
+  goButton.textContent = '前往';
+  goButton.style.marginLeft = '6px';
+  goButton.style.padding = '2px 8px';
+  goButton.style.background = 'rgba(0, 100, 200, 0.6)';
+  goButton.style.border = '1px solid #0cf';
+  goButton.style.borderRadius = '5px';
+  goButton.style.color = 'white';
+  goButton.style.cursor = 'pointer';
+  goButton.addEventListener('click', () => {
+    flyToBody(select.value);
+    select.blur(); // 让键盘重新控制飞船
+  });
+  panel.appendChild(goButton);
+  
+  // 图层开关：轨道线、星座连线与星座名称
+  const addToggle = (text, checked, onChange) => {
+    const row = document.createElement('label');
+    row.style.display = 'block';
+    row.style.marginTop = '8px';
+    row.style.fontSize = '14px';
+    row.style.cursor = 'pointer';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.style.marginRight = '6px';
+    checkbox.addEventListener('change', () => {
+      onChange(checkbox.checked);
+      checkbox.blur();
+    });
+    row.appendChild(checkbox);
+    row.appendChild(document.createTextNode(text));
+    panel.appendChild(row);
+  };
+  addToggle('显示轨道', orbitLines.isVisible(), orbitLines.setVisible);
+  addToggle('显示星座连线', constellations.isLinesVisible(), constellations.setLinesVisible);
+  addToggle('显示星座名称', constellations.isNamesVisible(), constellations.setNamesVisible);
+  addToggle('显示银河', milkyWay.isVisible(), milkyWay.setVisible);
+  
+  // 银河亮度滑块
+  const milkyWayRow = document.createElement('div');
+  milkyWayRow.style.marginTop = '8px';
+  milkyWayRow.style.fontSize = '14px';
+  milkyWayRow.textContent = '银河亮度：';
+  const milkyWaySlider = document.createElement('input');
+  milkyWaySlider.type = 'range';
+  milkyWaySlider.min = '0';
+  milkyWaySlider.max = '3';
+  milkyWaySlider.step = '0.1';
+  milkyWaySlider.value = String(milkyWay.getIntensity());
+  milkyWaySlider.style.accentColor = '#0cf';
+  milkyWaySlider.style.verticalAlign = 'middle';
+  milkyWaySlider.addEventListener('input', () => {
+    milkyWay.setIntensity(Number(milkyWaySlider.value));
+  });
+  milkyWaySlider.addEventListener('change', () => milkyWaySlider.blur());
+  milkyWayRow.appendChild(milkyWaySlider);
+  panel.appendChild(milkyWayRow);
+  
+  // 尺度模式选择
+  const scaleRow = document.createElement('div');
+  scaleRow.style.marginTop = '8px';
+  scaleRow.style.fontSize = '14px';
+  scaleRow.textContent = '尺度：';
+  const scaleSelect = document.createElement('select');
+  scaleSelect.style.background = 'rgba(0, 30, 60, 0.8)';
+  scaleSelect.style.border = '1px solid #0cf';
+  scaleSelect.style.borderRadius = '5px';
+  scaleSelect.style.color = 'white';
+  scaleSelect.style.padding = '2px';
+  for (const [mode, { label }] of Object.entries(SCALE_MODES)) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    scaleSelect.appendChild(option);
+  }
+  scaleSelect.value = planets.getScaleMode();
+  scaleSelect.addEventListener('change', () => {
+    setScaleMode(scaleSelect.value);
+    scaleSelect.blur();
+  });
+  scaleRow.appendChild(scaleSelect);
+  panel.appendChild(scaleRow);
+  
+  document.body.appendChild(panel);
+}
+
+// 创建天体导航面板
+createBodyPanel();
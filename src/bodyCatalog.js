@@ -0,0 +1,825 @@
+// 基础单位：地球半径对应的场景单位，距离与其余天体的显示半径由尺度模式决定（见scaleModes.js）
+export const EARTH_RADIUS = 10;
+
+/**
+ * 由恒星周期换算平黄经的变化率
+ * @param {Number} period - 恒星周期（天）
+ * @returns {Number} 每儒略世纪的平黄经变化（度）
+ */
+function meanMotion(period) {
+  return 360 * 36525 / period;
+}
+
+/**
+ * 卫星没有图片贴图，直接使用较小尺寸的程序化贴图
+ * @param {String} style - 程序化贴图风格
+ * @param {Number[]} colors - 从暗到亮的调色板
+ * @param {Number} seed - 随机种子
+ * @returns {Object} 程序化贴图定义
+ */
+function surface(style, colors, seed) {
+  return { style, colors, seed, width: 256, height: 128 };
+}
+
+/**
+ * 太阳系天体目录
+ * 每个条目描述一个天体的全部数据，createSolarSystem会遍历该目录创建天体，
+ * 新增天体只需在这里添加一个条目
+ *
+ * 字段说明：
+ * - name / label / chineseName：内部名称、英文标签与中文标签
+ * - type：star(恒星) | planet(行星) | moon(卫星) | dwarf(矮行星) | asteroid(小行星) | comet(彗星)
+ * - parent：中心天体名称，卫星的轨道相对于该天体
+ * - group：所属的可选族群（asteroidBelt | kuiperBelt | comets），对应createSolarSystem的同名选项，关闭时不创建
+ * - radiusRatio：相对地球的半径比例（真实数据）；shape：非球形天体三根主轴相对radiusRatio的比例
+ *   （依次为指向本初子午线、赤道上与其垂直、极轴方向）
+ * - detail：IcosahedronGeometry的细分级别
+ * - rotation：IAU自转根数（见ephemeris.getPoleOrientation），ra/dec为北极赤经赤纬（度），
+ *   raRate/decRate为每儒略世纪变化率，W/Wdot为本初子午线角度（度）及其每天变化率
+ * - orbit：J2000平均轨道根数及其每儒略世纪变化率（见ephemeris.js），半长轴默认以AU为单位，
+ *   units为km时以千米为单位；
+ *   frame为equator时根数以中心天体的赤道面（自转北极）为参考，否则以黄道面为参考；
+ *   longTerm为公元前3000年至公元3000年适用的根数（Standish表2a），1800-2050年以外改用，
+ *   外行星另有平近点角的修正项b/c/s/f（表2b）
+ * - material：材质类型与参数，字符串值为贴图路径；fallback为贴图加载失败、无贴图模式或没有贴图时使用的程序化贴图
+ *   （style: rocky岩石 | banded条带 | ice冰壳，colors为从暗到亮的调色板）；
+ *   类型为earth时使用地球着色器，另有夜景灯光、云量贴图与云层参数
+ * - glow：菲涅尔边缘光晕（见getFresnelMat.js），color/facing为边缘与正对视线处的颜色，bias/scale/power为菲涅尔参数，
+ *   size为光晕网格相对天体的尺寸，sunLit为false时背阳面的边缘与向阳面一样亮
+ * - atmosphere：大气散射参数（见getAtmosphereMat.js），thickness与标高相对行星半径，
+ *   rayleigh/mie为地面处的RGB散射系数（每行星半径），mieG为米氏散射的前向不对称因子；有大气层时不再使用glow
+ * - clouds：云层相对地表的转速比例
+ * - rings：行星环定义，位于行星赤道面内，半径为相对行星半径的比例
+ * - comet：彗发与彗尾参数（见createComet.js），tailLength为距太阳1AU时的彗尾长度（AU）
+ */
+export const BODY_CATALOG = [
+  {
+    name: 'sun',
+    label: 'Sun',
+    chineseName: '太阳',
+    type: 'star',
+    radiusRatio: 109.2,
+    rotation: { ra: 286.13, dec: 63.87, W: 84.176, Wdot: 14.1844 },
+    // 太阳表面贴图，由太阳着色器与内部发光层共用
+    material: {
+      fallback: { style: 'rocky', colors: [0xb83a00, 0xff8a1a, 0xffd070], seed: 19, craters: 0 },
+      map: "./textures/sunmap.jpg"
+    }
+  },
+  {
+    // 按照真实比例：水星直径约为地球的0.38倍，距离太阳约0.39AU
+    name: 'mercury',
+    label: 'Mercury',
+    chineseName: '水星',
+    type: 'planet',
+    radiusRatio: 0.38,
+    detail: 8,
+    rotation: { ra: 281.0103, dec: 61.4155, raRate: -0.0328, decRate: -0.0049, W: 329.5988, Wdot: 6.1385108 },
+    orbit: {
+      a: 0.38709927, e: 0.20563593, i: 7.00497902, L: 252.25032350, longPeri: 77.45779628, node: 48.33076593,
+      rates: { a: 0.00000037, e: 0.00001906, i: -0.00594749, L: 149472.67411175, longPeri: 0.16047689, node: -0.12534081 },
+      longTerm: {
+        a: 0.38709843, e: 0.20563661, i: 7.00559432, L: 252.25166724, longPeri: 77.45771895, node: 48.33961819,
+        rates: { a: 0.00000000, e: 0.00002123, i: -0.00590158, L: 149472.67486623, longPeri: 0.15940013, node: -0.12214182 }
+      }
+    },
+    material: {
+      type: 'phong',
+      fallback: { style: 'rocky', colors: [0x4a4642, 0x8c8580, 0xb5aea6], seed: 1 },
+      map: "./textures/mercury/mercurymapthumb.jpg",
+      bumpMap: "./textures/mercury/mercurybumpthumb.jpg",
+      bumpScale: 0.04
+    },
+    glow: { color: 0x777777, size: 1.01, bias: 0.0, scale: 0.5 }
+  },
+  {
+    // 按照真实比例：金星直径约为地球的0.95倍，距离太阳约0.72AU
+    name: 'venus',
+    label: 'Venus',
+    chineseName: '金星',
+    type: 'planet',
+    radiusRatio: 0.95,
+    detail: 8,
+    rotation: { ra: 272.76, dec: 67.16, W: 160.20, Wdot: -1.4813688 }, // 逆向自转
+    orbit: {
+      a: 0.72333566, e: 0.00677672, i: 3.39467605, L: 181.97909950, longPeri: 131.60246718, node: 76.67984255,
+      rates: { a: 0.00000390, e: -0.00004107, i: -0.00078890, L: 58517.81538729, longPeri: 0.00268329, node: -0.27769418 },
+      longTerm: {
+        a: 0.72332102, e: 0.00676399, i: 3.39777545, L: 181.97970850, longPeri: 131.76755713, node: 76.67261496,
+        rates: { a: -0.00000026, e: -0.00005107, i: 0.00043494, L: 58517.81560260, longPeri: 0.05679648, node: -0.27274174 }
+      }
+    },
+    material: {
+      type: 'phong',
+      fallback: { style: 'banded', colors: [0xb08a4a, 0xe3c58a, 0xf2dcae], seed: 2 },
+      map: "./textures/venus/venusmapthumb.jpg",
+      bumpMap: "./textures/venus/venusbumpthumb.jpg",
+      bumpScale: 0.04
+    },
+    // 浓厚的硫酸云雾：以带黄色的米氏散射为主，标高大，边缘一圈厚重的黄色雾霭
+    atmosphere: {
+      thickness: 0.05,
+      rayleigh: [0.5, 1.1, 2.5], rayleighHeight: 0.01,
+      mie: [60.0, 48.0, 22.0], mieHeight: 0.008, mieG: 0.5,
+      intensity: 12.0
+    }
+  },
+  {
+    name: 'earth',
+    label: 'Earth',
+    chineseName: '地球',
+    type: 'planet',
+    radiusRatio: 1.0,
+    detail: 12,
+    rotation: { ra: 0, dec: 90, raRate: -0.641, decRate: -0.557, W: 190.147, Wdot: 360.9856235 },
+    // 地月系质心的轨道
+    orbit: {
+      a: 1.00000261, e: 0.01671123, i: -0.00001531, L: 100.46457166, longPeri: 102.93768193, node: 0.0,
+      rates: { a: 0.00000562, e: -0.00004392, i: -0.01294668, L: 35999.37244981, longPeri: 0.32327364, node: 0.0 },
+      longTerm: {
+        a: 1.00000018, e: 0.01673163, i: -0.00054346, L: 100.46691572, longPeri: 102.93005885, node: -5.11260389,
+        rates: { a: -0.00000003, e: -0.00003661, i: -0.01337178, L: 35999.37306329, longPeri: 0.31795260, node: -0.24123856 }
+      }
+    },
+    // 昼夜、夜景灯光、海洋高光与云层都在同一个地球着色器中完成（见getEarthMaterial.js）
+    material: {
+      type: 'earth',
+      fallback: { style: 'rocky', colors: [0x0b2a5c, 0x1d4f91, 0x1d4f91, 0x2f6b3a, 0x8a7f5a], seed: 3, craters: 0 },
+      map: "./textures/00_earthmap1k.jpg",
+      specularMap: "./textures/02_earthspec1k.jpg",
+      bumpMap: "./textures/01_earthbump1k.jpg",
+      bumpScale: 0.04,
+      nightMap: "./textures/03_earthlights1k.jpg",
+      cloudMap: './textures/05_earthcloudmaptrans.jpg',
+      cloudOpacity: 0.7,
+      cloudShadow: 0.5,
+      cloudHeight: 0.01
+    },
+    clouds: {
+      speed: 1.15 // 云层比地表转得稍快
+    },
+    // 真实的海平面散射系数与标高，为了在屏幕上可见，厚度与标高放大为3倍、系数相应缩小
+    atmosphere: {
+      thickness: 0.03,
+      rayleigh: [12.3, 28.7, 70.3], rayleighHeight: 0.0038,
+      mie: [44.6, 44.6, 44.6], mieHeight: 0.0006, mieG: 0.76,
+      intensity: 20.0
+    }
+  },
+  {
+    name: 'moon',
+    label: 'Moon',
+    chineseName: '月球',
+    type: 'moon',
+    parent: 'earth',
+    radiusRatio: 0.27,
+    detail: 8,
+    rotation: { ra: 269.9949, dec: 66.5392, raRate: 0.0031, decRate: 0.0130, W: 38.3213, Wdot: 13.17635815 }, // 潮汐锁定
+    // 地心平均轨道根数，半长轴单位为千米
+    orbit: {
+      a: 384400, e: 0.0549, i: 5.145, L: 218.3162, longPeri: 83.3533, node: 125.0434,
+      rates: { a: 0, e: 0, i: 0, L: 481267.8811, longPeri: 4069.0137, node: -1934.1378 },
+      units: 'km'
+    },
+    material: {
+      type: 'phong',
+      fallback: { style: 'rocky', colors: [0x3c3c3c, 0x7a7a7a, 0xb0b0b0], seed: 4 },
+      map: "./textures/moonmapthumb.jpg",
+      bumpMap: "./textures/moonbumpthumb2.jpg",
+      bumpScale: 0.02
+    },
+    glow: { color: 0x888888, size: 1.01, bias: 0.0, scale: 0.5 }
+  },
+  {
+    // 按照真实比例：火星直径约为地球的0.53倍，距离太阳约1.52AU
+    name: 'mars',
+    label: 'Mars',
+    chineseName: '火星',
+    type: 'planet',
+    radiusRatio: 0.53,
+    detail: 8,
+    rotation: { ra: 317.68143, dec: 52.88650, raRate: -0.1061, decRate: -0.0609, W: 176.630, Wdot: 350.89198226 },
+    orbit: {
+      a: 1.52371034, e: 0.09339410, i: 1.84969142, L: -4.55343205, longPeri: -23.94362959, node: 49.55953891,
+      rates: { a: 0.00001847, e: 0.00007882, i: -0.00813131, L: 19140.30268499, longPeri: 0.44441088, node: -0.29257343 },
+      longTerm: {
+        a: 1.52371243, e: 0.09336511, i: 1.85181869, L: -4.56813164, longPeri: -23.91744784, node: 49.71320984,
+        rates: { a: 0.00000097, e: 0.00009149, i: -0.00724757, L: 19140.29934243, longPeri: 0.45223625, node: -0.26852431 }
+      }
+    },
+    material: {
+      type: 'standard',
+      fallback: { style: 'rocky', colors: [0x5a2a16, 0xa04a24, 0xd08a5a], seed: 5 },
+      map: "./textures/mars/mars_thumbnail.jpg",
+      normalMap: "./textures/mars/mars_normal_thumbnail.jpg",
+      normalScale: 0.8,
+      metalnessMap: "./textures/mars/mars_topo_thumbnail.jpg",
+      metalness: 0.3,
+      roughness: 0.7
+    },
+    // 稀薄的大气：瑞利散射很弱，悬浮尘埃的米氏散射使边缘呈淡淡的土黄色
+    atmosphere: {
+      thickness: 0.025,
+      rayleigh: [0.4, 0.8, 1.8], rayleighHeight: 0.0065,
+      mie: [10.0, 7.0, 4.3], mieHeight: 0.004, mieG: 0.6,
+      intensity: 20.0
+    }
+  },
+  {
+    name: 'phobos',
+    label: 'Phobos',
+    chineseName: '火卫一',
+    type: 'moon',
+    parent: 'mars',
+    radiusRatio: 0.0018,
+    detail: 4,
+    rotation: { ra: 317.68, dec: 52.9, W: 35.06, Wdot: 1128.844585 },
+    orbit: {
+      a: 9376, e: 0.0151, i: 1.075, L: 88.9, longPeri: 357.841, node: 207.784,
+      rates: { L: meanMotion(0.31891) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x2e2a26, 0x5a534c, 0x8a8178], 21) }
+  },
+  {
+    name: 'deimos',
+    label: 'Deimos',
+    chineseName: '火卫二',
+    type: 'moon',
+    parent: 'mars',
+    radiusRatio: 0.001,
+    detail: 4,
+    rotation: { ra: 316.65, dec: 53.52, W: 79.41, Wdot: 285.161897 },
+    orbit: {
+      a: 23458, e: 0.0002, i: 1.788, L: 250.583, longPeri: 285.254, node: 24.525,
+      rates: { L: meanMotion(1.26244) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x3a342e, 0x6e655c, 0x9a9086], 22) }
+  },
+  {
+    // 主带中最大的天体，矮行星
+    name: 'ceres',
+    label: 'Ceres',
+    chineseName: '谷神星',
+    type: 'dwarf',
+    group: 'asteroidBelt',
+    radiusRatio: 0.0737,
+    detail: 5,
+    rotation: { ra: 291.418, dec: 66.764, W: 170.65, Wdot: 952.1532635 },
+    orbit: {
+      a: 2.7665, e: 0.0785, i: 10.583, L: 160.527, longPeri: 154.417, node: 80.494,
+      rates: { L: meanMotion(1680.2) }
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x3a3836, 0x6a6560, 0x9a948c], 35) }
+  },
+  {
+    name: 'vesta',
+    label: 'Vesta',
+    chineseName: '灶神星',
+    type: 'asteroid',
+    group: 'asteroidBelt',
+    radiusRatio: 0.0412,
+    detail: 5,
+    rotation: { ra: 309.031, dec: 42.235, W: 285.39, Wdot: 1617.3329428 },
+    orbit: {
+      a: 2.3615, e: 0.0902, i: 7.134, L: 236.46, longPeri: 253.541, node: 103.951,
+      rates: { L: meanMotion(1325.4) }
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x5a524a, 0x8a8278, 0xbab2a6], 36) }
+  },
+  {
+    // 按照真实比例：木星直径约为地球的11倍，距离太阳约5.2AU
+    name: 'jupiter',
+    label: 'Jupiter',
+    chineseName: '木星',
+    type: 'planet',
+    radiusRatio: 11.2,
+    detail: 10,
+    rotation: { ra: 268.056595, dec: 64.495303, raRate: -0.006499, decRate: 0.002413, W: 284.95, Wdot: 870.536 },
+    orbit: {
+      a: 5.20288700, e: 0.04838624, i: 1.30439695, L: 34.39644051, longPeri: 14.72847983, node: 100.47390909,
+      rates: { a: -0.00011607, e: -0.00013253, i: -0.00183714, L: 3034.74612775, longPeri: 0.21252668, node: 0.20469106 },
+      longTerm: {
+        a: 5.20248019, e: 0.04853590, i: 1.29861416, L: 34.33479152, longPeri: 14.27495244, node: 100.29282654,
+        rates: { a: -0.00002864, e: 0.00018026, i: -0.00322699, L: 3034.90371757, longPeri: 0.18199196, node: 0.13024619 },
+        b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000
+      }
+    },
+    material: {
+      type: 'standard',
+      fallback: { style: 'banded', colors: [0x8a5a3a, 0xd9b38c, 0xf2e6d0, 0xb07850], seed: 6 },
+      map: "./textures/jupiter/jupitermapthumb.jpg",
+      bumpScale: 0.02,
+      roughness: 0.7,
+      metalness: 0.3
+    },
+    // 增强光晕效果
+    glow: { color: 0xffcc88, facing: 0x331100, size: 1.03, power: 3.0 }
+  },
+  {
+    // 硫磺火山覆盖的黄色表面
+    name: 'io',
+    label: 'Io',
+    chineseName: '木卫一',
+    type: 'moon',
+    parent: 'jupiter',
+    radiusRatio: 0.2859,
+    detail: 6,
+    rotation: { ra: 268.05, dec: 64.5, W: 200.39, Wdot: 203.488954 },
+    orbit: {
+      a: 421800, e: 0.0041, i: 0.036, L: 110.127, longPeri: 128.106, node: 43.977,
+      rates: { L: meanMotion(1.769138) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x8a5a1a, 0xd8b84a, 0xf2e88a], 23) }
+  },
+  {
+    name: 'europa',
+    label: 'Europa',
+    chineseName: '木卫二',
+    type: 'moon',
+    parent: 'jupiter',
+    radiusRatio: 0.245,
+    detail: 6,
+    rotation: { ra: 268.08, dec: 64.51, W: 36.022, Wdot: 101.374724 },
+    orbit: {
+      a: 671100, e: 0.0094, i: 0.466, L: 119.092, longPeri: 308.076, node: 219.106,
+      rates: { L: meanMotion(3.551181) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('ice', [0x8a6a4a, 0xd8ccb8, 0xf4f0ea], 24) }
+  },
+  {
+    name: 'ganymede',
+    label: 'Ganymede',
+    chineseName: '木卫三',
+    type: 'moon',
+    parent: 'jupiter',
+    radiusRatio: 0.4135,
+    detail: 6,
+    rotation: { ra: 268.2, dec: 64.57, W: 44.064, Wdot: 50.317608 },
+    orbit: {
+      a: 1070400, e: 0.0013, i: 0.177, L: 213.509, longPeri: 255.969, node: 63.552,
+      rates: { L: meanMotion(7.154553) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x4a4238, 0x8a7e70, 0xc8c0b4], 25) }
+  },
+  {
+    name: 'callisto',
+    label: 'Callisto',
+    chineseName: '木卫四',
+    type: 'moon',
+    parent: 'jupiter',
+    radiusRatio: 0.3783,
+    detail: 6,
+    rotation: { ra: 268.72, dec: 64.83, W: 259.51, Wdot: 21.571071 },
+    orbit: {
+      a: 1882700, e: 0.0074, i: 0.192, L: 172.899, longPeri: 351.491, node: 298.848,
+      rates: { L: meanMotion(16.689018) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x2a2620, 0x5a5248, 0x9a9284], 26) }
+  },
+  {
+    // 按照真实比例：土星直径约为地球的9.5倍，距离太阳约9.6AU
+    name: 'saturn',
+    label: 'Saturn',
+    chineseName: '土星',
+    type: 'planet',
+    radiusRatio: 9.45,
+    detail: 10,
+    rotation: { ra: 40.589, dec: 83.537, raRate: -0.036, decRate: -0.004, W: 38.90, Wdot: 810.7939024 },
+    orbit: {
+      a: 9.53667594, e: 0.05386179, i: 2.48599187, L: 49.95424423, longPeri: 92.59887831, node: 113.66242448,
+      rates: { a: -0.00125060, e: -0.00050991, i: 0.00193609, L: 1222.49362201, longPeri: -0.41897216, node: -0.28867794 },
+      longTerm: {
+        a: 9.54149883, e: 0.05550825, i: 2.49424102, L: 50.07571329, longPeri: 92.86136063, node: 113.63998702,
+        rates: { a: -0.00003065, e: -0.00032044, i: 0.00451969, L: 1222.11494724, longPeri: 0.54179478, node: -0.25015002 },
+        b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000
+      }
+    },
+    material: {
+      type: 'standard',
+      fallback: { style: 'banded', colors: [0xa88a5a, 0xe0c894, 0xf5e6c0], seed: 7 },
+      map: "./textures/saturn/saturnmapthumb.jpg",
+      bumpScale: 0.02,
+      roughness: 0.7,
+      metalness: 0.3
+    },
+    rings: [
+      {
+        inner: 1.2,
+        outer: 2.2,
+        segments: 160,
+        drift: 0.002, // 环也稍微旋转（弧度/天）
+        material: {
+          type: 'standard',
+          fallback: { style: 'banded', colors: [0x000000, 0x8a7a5a, 0xe8d8b0], seed: 11 },
+          map: "./textures/saturn/saturnringcolorthumb.jpg",
+          alphaMap: "./textures/saturn/saturnringpatternthumb.gif",
+          opacity: 0.95 // 增加不透明度
+        }
+      }
+    ],
+    glow: { color: 0xddcc99, size: 1.01 }
+  },
+  {
+    name: 'enceladus',
+    label: 'Enceladus',
+    chineseName: '土卫二',
+    type: 'moon',
+    parent: 'saturn',
+    radiusRatio: 0.0396,
+    detail: 5,
+    rotation: { ra: 40.66, dec: 83.52, W: 6.32, Wdot: 262.7319 },
+    orbit: {
+      a: 238400, e: 0.0047, i: 0.009, L: 218.478, longPeri: 21.431, node: 169.508,
+      rates: { L: meanMotion(1.370218) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('ice', [0xb8c8d0, 0xe8f0f4, 0xffffff], 27) }
+  },
+  {
+    name: 'rhea',
+    label: 'Rhea',
+    chineseName: '土卫五',
+    type: 'moon',
+    parent: 'saturn',
+    radiusRatio: 0.1199,
+    detail: 5,
+    rotation: { ra: 40.38, dec: 83.55, W: 235.16, Wdot: 79.690048 },
+    orbit: {
+      a: 527100, e: 0.001, i: 0.333, L: 159.691, longPeri: 208.14, node: 311.531,
+      rates: { L: meanMotion(4.518212) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x5a5650, 0x9a968e, 0xd0ccc4], 28) }
+  },
+  {
+    // 浓厚的橙色大气
+    name: 'titan',
+    label: 'Titan',
+    chineseName: '土卫六',
+    type: 'moon',
+    parent: 'saturn',
+    radiusRatio: 0.4041,
+    detail: 6,
+    rotation: { ra: 39.4827, dec: 83.4279, W: 186.5855, Wdot: 22.576977 },
+    orbit: {
+      a: 1221900, e: 0.0288, i: 0.306, L: 11.902, longPeri: 208.592, node: 28.06,
+      rates: { L: meanMotion(15.945421) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('banded', [0x9a6a2a, 0xc89a4a, 0xe0b868], 29) }
+  },
+  {
+    // 一侧暗一侧亮，轨道相对土星赤道明显倾斜
+    name: 'iapetus',
+    label: 'Iapetus',
+    chineseName: '土卫八',
+    type: 'moon',
+    parent: 'saturn',
+    radiusRatio: 0.1153,
+    detail: 5,
+    rotation: { ra: 318.16, dec: 75.03, W: 355.2, Wdot: 4.537957 },
+    orbit: {
+      a: 3561700, e: 0.0283, i: 15.47, L: 194.5, longPeri: 352.711, node: 81.105,
+      rates: { L: meanMotion(79.3215) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x1a1612, 0x6a625a, 0xe0dcd4], 30) }
+  },
+  {
+    // 按照真实比例：天王星直径约为地球的4倍，距离太阳约19.2AU
+    name: 'uranus',
+    label: 'Uranus',
+    chineseName: '天王星',
+    type: 'planet',
+    radiusRatio: 4.0,
+    detail: 8,
+    rotation: { ra: 257.311, dec: -15.175, W: 203.81, Wdot: -501.1600928 }, // 自转轴几乎躺在轨道面上，逆向自转
+    orbit: {
+      a: 19.18916464, e: 0.04725744, i: 0.77263783, L: 313.23810451, longPeri: 170.95427630, node: 74.01692503,
+      rates: { a: -0.00196176, e: -0.00004397, i: -0.00242939, L: 428.48202785, longPeri: 0.40805281, node: 0.04240589 },
+      longTerm: {
+        a: 19.18797948, e: 0.04685740, i: 0.77298127, L: 314.20276625, longPeri: 172.43404441, node: 73.96250215,
+        rates: { a: -0.00020455, e: -0.00001550, i: -0.00180155, L: 428.49512595, longPeri: 0.09266985, node: 0.05739699 },
+        b: 0.00058331, c: -0.97731848, s: 0.17689245, f: 7.67025000
+      }
+    },
+    material: {
+      type: 'phong',
+      fallback: { style: 'ice', colors: [0x7fb8c4, 0xb0e4ec, 0xd0f4f8], seed: 8 },
+      map: "./textures/uranus/uranusmapthumb.jpg",
+      bumpScale: 0.02,
+      color: 0xc0ffff // 增加青绿色调
+    },
+    rings: [
+      {
+        inner: 1.4,
+        outer: 2.2,
+        segments: 100,
+        drift: 0.005,
+        material: {
+          type: 'phong',
+          fallback: { style: 'banded', colors: [0x000000, 0x556666, 0x99aaaa], seed: 12 },
+          map: "./textures/uranus/uranusringcolour.jpg",
+          alphaMap: "./textures/uranus/uranusringtrans.jpg",
+          opacity: 0.9 // 增加不透明度
+        }
+      }
+    ],
+    glow: { color: 0x00ffcc, size: 1.01 }
+  },
+  {
+    name: 'titania',
+    label: 'Titania',
+    chineseName: '天卫三',
+    type: 'moon',
+    parent: 'uranus',
+    radiusRatio: 0.1237,
+    detail: 5,
+    rotation: { ra: 257.43, dec: -15.1, W: 77.74, Wdot: -41.351432 },
+    orbit: {
+      a: 436300, e: 0.0011, i: 0.079, L: 48.785, longPeri: 24.171, node: 99.771,
+      rates: { L: meanMotion(8.705872) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x4a4644, 0x8a8480, 0xbab4ae], 31) }
+  },
+  {
+    name: 'oberon',
+    label: 'Oberon',
+    chineseName: '天卫四',
+    type: 'moon',
+    parent: 'uranus',
+    radiusRatio: 0.1195,
+    detail: 5,
+    rotation: { ra: 257.43, dec: -15.1, W: 6.77, Wdot: -26.739493 },
+    orbit: {
+      a: 583500, e: 0.0014, i: 0.068, L: 307.259, longPeri: 24.171, node: 279.771,
+      rates: { L: meanMotion(13.463239) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x3e3834, 0x7a706a, 0xaaa098], 32) }
+  },
+  {
+    // 按照真实比例：海王星直径约为地球的3.9倍，距离太阳约30AU
+    name: 'neptune',
+    label: 'Neptune',
+    chineseName: '海王星',
+    type: 'planet',
+    radiusRatio: 3.88,
+    detail: 8,
+    rotation: { ra: 299.36, dec: 43.46, W: 249.978, Wdot: 541.1397757 },
+    orbit: {
+      a: 30.06992276, e: 0.00859048, i: 1.77004347, L: -55.12002969, longPeri: 44.96476227, node: 131.78422574,
+      rates: { a: 0.00026291, e: 0.00005105, i: 0.00035372, L: 218.45945325, longPeri: -0.32241464, node: -0.00508664 },
+      longTerm: {
+        a: 30.06952752, e: 0.00895439, i: 1.77005520, L: 304.22289287, longPeri: 46.68158724, node: 131.78635853,
+        rates: { a: 0.00006447, e: 0.00000818, i: 0.00022400, L: 218.46515314, longPeri: 0.01009938, node: -0.00606302 },
+        b: -0.00041348, c: 0.68346318, s: -0.10162547, f: 7.67025000
+      }
+    },
+    material: {
+      type: 'phong',
+      fallback: { style: 'ice', colors: [0x2a4cb0, 0x4a78d8, 0x8fb0f0], seed: 9 },
+      map: "./textures/neptune/neptunemapthumb.jpg",
+      bumpScale: 0.02,
+      color: 0x4444ff // 增加蓝色调
+    },
+    glow: { color: 0x0099ff, size: 1.01 }
+  },
+  {
+    // 逆行轨道（倾角大于90度）
+    name: 'triton',
+    label: 'Triton',
+    chineseName: '海卫一',
+    type: 'moon',
+    parent: 'neptune',
+    radiusRatio: 0.2124,
+    detail: 6,
+    rotation: { ra: 299.36, dec: 41.17, W: 296.53, Wdot: -61.257264 },
+    orbit: {
+      a: 354800, e: 0, i: 156.865, L: 82.383, longPeri: 177.608, node: 177.608,
+      rates: { L: meanMotion(5.876854) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('ice', [0x9a7a70, 0xd8c4bc, 0xf4ece8], 33) }
+  },
+  {
+    // 按照真实比例：冥王星直径约为地球的0.18倍，距离太阳约39.5AU
+    name: 'pluto',
+    label: 'Pluto',
+    chineseName: '冥王星',
+    type: 'planet',
+    radiusRatio: 0.18,
+    detail: 7,
+    rotation: { ra: 132.993, dec: -6.163, W: 302.695, Wdot: 56.3625225 }, // 自转正极指向黄道面以南，相对公转方向逆向自转
+    orbit: {
+      a: 39.48211675, e: 0.24882730, i: 17.14001206, L: 238.92903833, longPeri: 224.06891629, node: 110.30393684,
+      rates: { a: -0.00031596, e: 0.00005170, i: 0.00004818, L: 145.20780515, longPeri: -0.04062942, node: -0.01183482 },
+      longTerm: {
+        a: 39.48686035, e: 0.24885238, i: 17.14104260, L: 238.96535011, longPeri: 224.09702598, node: 110.30167986,
+        rates: { a: 0.00449751, e: 0.00006016, i: 0.00000501, L: 145.18042903, longPeri: -0.00968827, node: -0.00809981 },
+        b: -0.01262724
+      }
+    },
+    material: {
+      type: 'phong',
+      fallback: { style: 'ice', colors: [0x6a4a34, 0xc8b49c, 0xf0e8e0], seed: 10 },
+      map: "./textures/pluto/plutomapthumb.jpg",
+      bumpMap: "./textures/pluto/plutobumpthumb.jpg",
+      bumpScale: 0.04
+    },
+    glow: { color: 0x777788, size: 1.01, bias: 0.0, scale: 0.5 }
+  },
+  {
+    // 与冥王星相互潮汐锁定
+    name: 'charon',
+    label: 'Charon',
+    chineseName: '冥卫一',
+    type: 'moon',
+    parent: 'pluto',
+    radiusRatio: 0.0951,
+    detail: 5,
+    rotation: { ra: 132.993, dec: -6.163, W: 122.695, Wdot: 56.362522 },
+    orbit: {
+      a: 19591, e: 0.0002, i: 0.08, L: 304.104, longPeri: 173.034, node: 26.928,
+      rates: { L: meanMotion(6.38723) },
+      units: 'km',
+      frame: 'equator'
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x3a3836, 0x7a7670, 0xb0aca6], 34) }
+  },
+  {
+    // 已知质量最大的矮行星，轨道倾角约44度
+    name: 'eris',
+    label: 'Eris',
+    chineseName: '阋神星',
+    type: 'dwarf',
+    group: 'kuiperBelt',
+    radiusRatio: 0.1825,
+    detail: 6,
+    // 自转轴朝向未知，这里取赤道北极
+    rotation: { ra: 0, dec: 90, W: 0, Wdot: 360 / 15.786 },
+    orbit: {
+      a: 67.864, e: 0.4407, i: 44.04, L: 20.55, longPeri: 187.55, node: 35.95,
+      rates: { L: meanMotion(204199) }
+    },
+    material: { type: 'phong', fallback: surface('ice', [0x9a9894, 0xdcdad6, 0xf8f8f6], 37) }
+  },
+  {
+    // 快速自转使其拉长成三轴椭球，赤道面内有一道细环
+    name: 'haumea',
+    label: 'Haumea',
+    chineseName: '妊神星',
+    type: 'dwarf',
+    group: 'kuiperBelt',
+    radiusRatio: 0.1253,
+    shape: [1.455, 1.068, 0.643],
+    detail: 6,
+    rotation: { ra: 285.1, dec: -10.6, W: 0, Wdot: 360 / 0.163146 },
+    orbit: {
+      a: 43.182, e: 0.1913, i: 28.21, L: 197.17, longPeri: 1.17, node: 122.17,
+      rates: { L: meanMotion(103660) }
+    },
+    material: { type: 'phong', fallback: surface('ice', [0x8a8a8c, 0xd0d0d4, 0xf4f4f8], 38) },
+    rings: [
+      {
+        inner: 2.82,
+        outer: 2.91,
+        segments: 96,
+        drift: 0,
+        material: { type: 'phong', color: 0x99958f, opacity: 0.6 }
+      }
+    ]
+  },
+  {
+    name: 'makemake',
+    label: 'Makemake',
+    chineseName: '鸟神星',
+    type: 'dwarf',
+    group: 'kuiperBelt',
+    radiusRatio: 0.1122,
+    detail: 6,
+    // 自转轴朝向未知，这里取赤道北极
+    rotation: { ra: 0, dec: 90, W: 0, Wdot: 360 / 0.9511 },
+    orbit: {
+      a: 45.43, e: 0.161, i: 28.98, L: 157.42, longPeri: 14.42, node: 79.62,
+      rates: { L: meanMotion(111845) }
+    },
+    material: { type: 'phong', fallback: surface('ice', [0x7a4a34, 0xc0886a, 0xe8c8b0], 39) }
+  },
+  {
+    // 离散盘外的独立天体，远日点约900AU，公转一周约1.1万年
+    name: 'sedna',
+    label: 'Sedna',
+    chineseName: '赛德娜',
+    type: 'dwarf',
+    group: 'kuiperBelt',
+    radiusRatio: 0.0785,
+    detail: 5,
+    // 自转轴朝向未知，这里取赤道北极
+    rotation: { ra: 0, dec: 90, W: 0, Wdot: 360 / 0.4292 },
+    orbit: {
+      a: 506, e: 0.8496, i: 11.93, L: 93.2, longPeri: 95.7, node: 144.4,
+      rates: { L: meanMotion(4157300) }
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x5a2416, 0x9a4a2a, 0xc87a50], 40) }
+  },
+  // 彗星：轨道根数由近日点时刻换算到J2000历元，忽略行星摄动造成的周期变化
+  {
+    name: 'halley',
+    label: 'Halley',
+    chineseName: '哈雷彗星',
+    type: 'comet',
+    group: 'comets',
+    radiusRatio: 0.00086,
+    shape: [1.6, 0.7, 0.7],
+    detail: 3,
+    // 彗核的自转轴朝向尚无定论，这里取赤道北极
+    rotation: { ra: 0, dec: 90, W: 0, Wdot: 360 / 2.2 },
+    orbit: {
+      a: 17.8323, e: 0.96714, i: 162.262, L: 236.165, longPeri: 169.752, node: 58.42,
+      rates: { L: meanMotion(27504.4) }
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x1a1816, 0x2e2a26, 0x4a4540], 41) },
+    comet: { tailLength: 0.25, comaSize: 0.015 }
+  },
+  {
+    name: 'haleBopp',
+    label: 'Hale-Bopp',
+    chineseName: '海尔-波普彗星',
+    type: 'comet',
+    group: 'comets',
+    radiusRatio: 0.0047,
+    detail: 3,
+    rotation: { ra: 0, dec: 90, W: 0, Wdot: 360 / 0.47 },
+    orbit: {
+      a: 185.7724, e: 0.99508, i: 89.43, L: 53.451, longPeri: 53.06, node: 282.47,
+      rates: { L: meanMotion(924830) }
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x1c1a18, 0x34302c, 0x504a44], 42) },
+    // 活动性极强，远在木星轨道外就已出现明显彗发
+    comet: { tailLength: 0.6, comaSize: 0.03, activeDistance: 8 }
+  },
+  {
+    name: 'churyumov',
+    label: '67P',
+    chineseName: '丘留莫夫-格拉西缅科彗星',
+    type: 'comet',
+    group: 'comets',
+    radiusRatio: 0.00031,
+    shape: [1.3, 1.0, 0.7],
+    detail: 3,
+    rotation: { ra: 69.54, dec: 64.11, W: 114.69, Wdot: 696.543884 },
+    orbit: {
+      a: 3.4631, e: 0.64102, i: 7.0405, L: 270.803, longPeri: 62.927, node: 50.147,
+      rates: { L: meanMotion(2353.9) }
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x1a1a1a, 0x303030, 0x505050], 43) },
+    comet: { tailLength: 0.05, comaSize: 0.005, activeDistance: 4 }
+  },
+  {
+    name: 'encke',
+    label: 'Encke',
+    chineseName: '恩克彗星',
+    type: 'comet',
+    group: 'comets',
+    radiusRatio: 0.00038,
+    detail: 3,
+    rotation: { ra: 0, dec: 90, W: 0, Wdot: 360 / 0.46 },
+    orbit: {
+      a: 2.2142, e: 0.8483, i: 11.78, L: 83.224, longPeri: 161.11, node: 334.57,
+      rates: { L: meanMotion(1203.4) }
+    },
+    material: { type: 'phong', fallback: surface('rocky', [0x181614, 0x2c2824, 0x46403a], 44) },
+    // 多次回归后挥发物已大量耗尽，彗尾较短
+    comet: { tailLength: 0.08, comaSize: 0.005, activeDistance: 3 }
+  }
+];
+
+/**
+ * 按名称查找天体目录条目
+ * @param {String} name - 天体名称
+ * @returns {Object|undefined} 目录条目
+ */
+export function getCatalogEntry(name) {
+  return BODY_CATALOG.find((body) => body.name === name);
+}
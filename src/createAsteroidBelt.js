@@ -0,0 +1,147 @@
+import * as THREE from "three";
+import { ORBIT_POSITION_GLSL, sampleRayleigh } from "./orbitalMechanics.js";
+import { DISTANCE_KNOTS, MAP_DISTANCE_GLSL, SCALE_MODES } from "./scaleModes.js";
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 与木星轨道共振造成的柯克伍德空隙（AU）及其半宽
+const KIRKWOOD_GAPS = [
+  { a: 2.50, width: 0.02 }, // 3:1
+  { a: 2.82, width: 0.015 }, // 5:2
+  { a: 2.95, width: 0.01 }, // 7:3
+  { a: 3.27, width: 0.03 }  // 2:1
+];
+
+// 小行星的颜色：C型（碳质，偏暗）与S型（石质，偏红）
+const ROCK_COLORS = [0x4a4540, 0x5c554c, 0x7a6a58, 0x8a7560];
+
+/**
+ * 按主带的径向密度抽样半长轴：2.1-3.3AU，峰值约2.7AU，并在柯克伍德空隙处剔除
+ * @returns {Number} 半长轴（AU）
+ */
+function sampleSemiMajorAxis() {
+  for (;;) {
+    const a = 2.1 + Math.random() * 1.3;
+    // 中间高两端低的密度轮廓
+    const density = Math.exp(-Math.pow((a - 2.7) / 0.35, 2));
+    if (Math.random() > density) continue;
+    const inGap = KIRKWOOD_GAPS.some((gap) => Math.abs(a - gap.a) < gap.width * (0.5 + Math.random()));
+    if (!inGap) return a;
+  }
+}
+
+/**
+ * 把岩石顶点沿半径随机推拉，使其形状不规则
+ * 偏移只取决于顶点位置，非索引几何体中共用的顶点会得到相同偏移，不会出现裂缝
+ * @param {THREE.BufferGeometry} geometry - 岩石几何体
+ */
+function roughenRock(geometry) {
+  const position = geometry.attributes.position;
+  const vertex = new THREE.Vector3();
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i);
+    const hash = Math.sin(vertex.x * 12.9898 + vertex.y * 78.233 + vertex.z * 37.719) * 43758.5453;
+    vertex.multiplyScalar(0.75 + (hash - Math.floor(hash)) * 0.5);
+    position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+  }
+  geometry.computeVertexNormals();
+}
+
+// 替换three.js的project_vertex片段：先应用实例自身的旋转缩放，再平移到轨道位置
+const ORBIT_PROJECT_VERTEX = `
+  vec4 mvPosition = vec4(transformed, 1.0);
+  #ifdef USE_INSTANCING
+    mvPosition = instanceMatrix * mvPosition;
+  #endif
+  mvPosition.xyz += mapHeliocentric(getOrbitPosition()) - sceneOrigin;
+  mvPosition = modelViewMatrix * mvPosition;
+  gl_Position = projectionMatrix * mvPosition;
+`;
+
+/**
+ * 创建小行星主带：每块岩石有独立的开普勒轨道，公转在顶点着色器中计算
+ * @param {Object} options - 配置选项
+ * @returns {Object} 包含mesh和update(days)方法的对象
+ */
+export default function createAsteroidBelt(options = {}) {
+  // 默认配置
+  const config = {
+    count: 30000,        // 岩石数量
+    // 日心距离换算用的uniform，与太阳系共享以便随尺度模式变化，默认使用压缩比例
+    scaleUniforms: {
+      knotRadii: { value: DISTANCE_KNOTS },
+      knotDistances: { value: SCALE_MODES.compressed.distances },
+      sceneOrigin: { value: new THREE.Vector3() }
+    },
+    size: { min: 0.05, max: 0.45 }, // 岩石半径（场景单位），小岩石占多数
+    ...options
+  };
+
+  const geometry = new THREE.IcosahedronGeometry(1, 0);
+  roughenRock(geometry);
+
+  // 每块岩石的轨道根数
+  const orbitShape = new Float32Array(config.count * 4);
+  const orbitPhase = new Float32Array(config.count * 3);
+  for (let i = 0; i < config.count; i++) {
+    const a = sampleSemiMajorAxis();
+    orbitShape[i * 4] = a;
+    orbitShape[i * 4 + 1] = Math.min(sampleRayleigh(0.08), 0.3);
+    orbitShape[i * 4 + 2] = Math.min(sampleRayleigh(7), 30) * DEG_TO_RAD;
+    orbitShape[i * 4 + 3] = Math.random() * Math.PI * 2;
+    orbitPhase[i * 3] = Math.random() * Math.PI * 2;
+    orbitPhase[i * 3 + 1] = Math.random() * Math.PI * 2;
+    // 开普勒第三定律：周期 = 365.25 * a^1.5 天
+    orbitPhase[i * 3 + 2] = Math.PI * 2 / (365.25 * Math.pow(a, 1.5));
+  }
+  geometry.setAttribute('orbitShape', new THREE.InstancedBufferAttribute(orbitShape, 4));
+  geometry.setAttribute('orbitPhase', new THREE.InstancedBufferAttribute(orbitPhase, 3));
+
+  const uniforms = {
+    days: { value: 0 },
+    ...config.scaleUniforms
+  };
+  const material = new THREE.MeshStandardMaterial({
+    roughness: 0.95,
+    metalness: 0.05
+  });
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = MAP_DISTANCE_GLSL + ORBIT_POSITION_GLSL + shader.vertexShader.replace(
+      '#include <project_vertex>',
+      ORBIT_PROJECT_VERTEX
+    );
+  };
+  material.customProgramCacheKey = () => 'asteroidBelt';
+
+  const mesh = new THREE.InstancedMesh(geometry, material, config.count);
+  mesh.name = 'asteroidBelt';
+  // 实例位置在着色器中计算，包围球无法反映真实范围
+  mesh.frustumCulled = false;
+
+  // 每块岩石固定的大小、朝向与颜色
+  const matrix = new THREE.Matrix4();
+  const origin = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  const euler = new THREE.Euler();
+  const scale = new THREE.Vector3();
+  const color = new THREE.Color();
+  for (let i = 0; i < config.count; i++) {
+    const radius = config.size.min + Math.pow(Math.random(), 4) * (config.size.max - config.size.min);
+    scale.set(radius, radius * (0.6 + Math.random() * 0.4), radius * (0.7 + Math.random() * 0.3));
+    rotation.setFromEuler(euler.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI));
+    matrix.compose(origin, rotation, scale);
+    mesh.setMatrixAt(i, matrix);
+    mesh.setColorAt(i, color.setHex(ROCK_COLORS[Math.floor(Math.random() * ROCK_COLORS.length)]));
+  }
+
+  /**
+   * 推进所有岩石的公转
+   * @param {Number} days - 自J2000历元起的天数
+   */
+  function update(days) {
+    uniforms.days.value = days;
+  }
+
+  return { mesh, update };
+}
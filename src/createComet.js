@@ -0,0 +1,226 @@
+import * as THREE from "three";
+
+/**
+ * 生成彗发用的径向渐变贴图
+ * @returns {THREE.CanvasTexture} 中心明亮、向外渐隐的圆形贴图
+ */
+function createComaTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 64;
+  const context = canvas.getContext('2d');
+  const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.2, 'rgba(255, 255, 255, 0.6)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 64, 64);
+  return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * 创建一条彗尾的粒子池
+ * 粒子只记录生命进度与随机偏移，每帧按当前的背日方向和运动方向重新摆放，
+ * 因此模拟时间加速时彗尾也不会被拉散
+ * @param {Number} count - 粒子数量
+ * @param {THREE.Color} color - 粒子颜色
+ * @param {Object} size - 粒子大小范围 {min, max}
+ * @returns {Object} 包含points及各粒子状态数组的对象
+ */
+function createTailParticles(count, color, size) {
+  const geometry = new THREE.BufferGeometry();
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const sizes = new Float32Array(count);
+  const offsets = new Float32Array(count * 3);
+  const baseSizes = new Float32Array(count);
+  const lifeTimes = [];
+
+  for (let i = 0; i < count; i++) {
+    // 错开初始进度，使彗尾一开始就是连续的
+    const lifetime = 2 + Math.random() * 3;
+    lifeTimes.push({ current: Math.random() * lifetime, max: lifetime });
+    resetParticle(i);
+  }
+
+  // 重新发射粒子：新的侧向偏移与大小
+  function resetParticle(i) {
+    const theta = Math.random() * Math.PI * 2;
+    const phi = Math.acos(2 * Math.random() - 1);
+    const spread = Math.sqrt(Math.random());
+    offsets[i * 3] = spread * Math.sin(phi) * Math.cos(theta);
+    offsets[i * 3 + 1] = spread * Math.sin(phi) * Math.sin(theta);
+    offsets[i * 3 + 2] = spread * Math.cos(phi);
+    baseSizes[i] = size.min + Math.random() * (size.max - size.min);
+  }
+
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      sizeScale: { value: 1 }
+    },
+    vertexShader: `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
+      uniform float sizeScale;
+      attribute float size;
+      attribute vec3 color;
+      varying vec3 vColor;
+
+      void main() {
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * sizeScale * (200.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <logdepthbuf_vertex>
+      }
+    `,
+    fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
+      varying vec3 vColor;
+
+      void main() {
+        #include <logdepthbuf_fragment>
+        // 圆形粒子，边缘柔和
+        float r = distance(gl_PointCoord, vec2(0.5, 0.5));
+        if (r > 0.5) discard;
+        float intensity = 1.0 - 2.0 * r;
+        gl_FragColor = vec4(vColor * intensity, intensity);
+      }
+    `,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    transparent: true
+  });
+
+  const points = new THREE.Points(geometry, material);
+  // 粒子位置每帧重新计算，包围球无法反映真实范围
+  points.frustumCulled = false;
+
+  return { points, material, count, color, positions, colors, sizes, offsets, baseSizes, lifeTimes, resetParticle };
+}
+
+/**
+ * 创建彗星的彗发与两条彗尾（离子尾和尘埃尾）
+ * 返回的group需挂载到彗星的系统组上，其坐标轴与太阳系根组平行
+ * @param {Object} options - 配置选项
+ * @param {Number} options.tailLength - 距太阳1AU时的彗尾长度（AU）
+ * @param {Number} options.comaSize - 距太阳1AU时的彗发直径（AU）
+ * @param {Number} options.activeDistance - 开始活动的日心距离（AU），更远时不显示彗发与彗尾
+ * @returns {Object} 包含group和update(delta, position, velocity, auScale)方法的对象
+ */
+export default function createComet(options = {}) {
+  // 默认配置
+  const config = {
+    tailLength: 0.2,        // 距太阳1AU时的彗尾长度（AU）
+    comaSize: 0.01,         // 距太阳1AU时的彗发直径（AU）
+    activeDistance: 5,      // 开始活动的日心距离（AU）
+    ionCount: 300,          // 离子尾粒子数量
+    dustCount: 500,         // 尘埃尾粒子数量
+    ionColor: 0x66aaff,     // 离子尾为一氧化碳离子的蓝色荧光
+    dustColor: 0xffeecc,    // 尘埃尾反射太阳光，呈淡黄白色
+    dustCurvature: 0.35,    // 尘埃尾沿轨道向后弯曲的程度
+    ...options
+  };
+
+  const group = new THREE.Group();
+
+  // 彗发：围绕彗核的发光气体
+  const comaMaterial = new THREE.SpriteMaterial({
+    map: createComaTexture(),
+    color: 0xcfe8ff,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    transparent: true
+  });
+  const coma = new THREE.Sprite(comaMaterial);
+  group.add(coma);
+
+  const ionTail = createTailParticles(config.ionCount, new THREE.Color(config.ionColor), { min: 0.6, max: 1.5 });
+  const dustTail = createTailParticles(config.dustCount, new THREE.Color(config.dustColor), { min: 0.8, max: 2.5 });
+  group.add(ionTail.points);
+  group.add(dustTail.points);
+
+  const antiSun = new THREE.Vector3();
+  const trailing = new THREE.Vector3();
+
+  /**
+   * 推进粒子生命周期，并按给定的方向摆放粒子
+   * @param {Object} tail - 彗尾粒子池
+   * @param {Number} delta - 距上一帧的真实时间（秒）
+   * @param {Number} length - 彗尾长度（场景单位）
+   * @param {Number} curvature - 向后弯曲的程度，0为笔直
+   * @param {Number} width - 彗尾末端的半宽（相对长度）
+   */
+  function updateTail(tail, delta, length, curvature, width) {
+    const { positions, colors, sizes, offsets, baseSizes, lifeTimes, color } = tail;
+    for (let i = 0; i < tail.count; i++) {
+      // 更新生命周期
+      lifeTimes[i].current += delta;
+      if (lifeTimes[i].current >= lifeTimes[i].max) {
+        lifeTimes[i].current = 0;
+        lifeTimes[i].max = 2 + Math.random() * 3;
+        tail.resetParticle(i);
+      }
+      const t = lifeTimes[i].current / lifeTimes[i].max;
+
+      // 沿背日方向远离彗核，尘埃尾再叠加沿轨道向后的滞后量，宽度随距离张开
+      const along = t * length;
+      const lag = t * t * length * curvature;
+      const spread = (0.02 + t * width) * length;
+      positions[i * 3] = antiSun.x * along + trailing.x * lag + offsets[i * 3] * spread;
+      positions[i * 3 + 1] = antiSun.y * along + trailing.y * lag + offsets[i * 3 + 1] * spread;
+      positions[i * 3 + 2] = antiSun.z * along + trailing.z * lag + offsets[i * 3 + 2] * spread;
+
+      // 越往尾部越暗、越小
+      const fade = 1 - t;
+      colors[i * 3] = color.r * fade;
+      colors[i * 3 + 1] = color.g * fade;
+      colors[i * 3 + 2] = color.b * fade;
+      sizes[i] = baseSizes[i] * (0.5 + fade * 0.5);
+    }
+
+    const attributes = tail.points.geometry.attributes;
+    attributes.position.needsUpdate = true;
+    attributes.color.needsUpdate = true;
+    attributes.size.needsUpdate = true;
+  }
+
+  /**
+   * 按彗星当前的日心位置与运动方向更新彗发和彗尾
+   * @param {Number} delta - 距上一帧的真实时间（秒）
+   * @param {THREE.Vector3} position - 彗星相对太阳的位置（AU）
+   * @param {THREE.Vector3} velocity - 彗星的运动方向，无需归一化
+   * @param {Number} auScale - 彗星附近1AU对应的场景单位，随尺度模式变化
+   */
+  function update(delta, position, velocity, auScale) {
+    const distance = position.length();
+
+    // 活动强度随日心距离的平方衰减，超过活动距离后完全停止
+    const activity = distance < config.activeDistance
+      ? Math.min(1, 1 / (distance * distance)) * (1 - distance / config.activeDistance)
+      : 0;
+    group.visible = activity > 0.001;
+    if (!group.visible) return;
+
+    antiSun.copy(position).normalize();
+    trailing.copy(velocity).normalize().negate();
+
+    const comaSize = config.comaSize * auScale * Math.sqrt(activity);
+    coma.scale.set(comaSize, comaSize, 1);
+
+    // 粒子大小以1AU为400个场景单位时为准
+    ionTail.material.uniforms.sizeScale.value = auScale / 400;
+    dustTail.material.uniforms.sizeScale.value = auScale / 400;
+
+    // 彗尾长度与彗发同样随日心距离变化
+    const length = config.tailLength * auScale * activity;
+    updateTail(ionTail, delta, length, 0, 0.04);
+    updateTail(dustTail, delta, length * 0.7, config.dustCurvature, 0.15);
+  }
+
+  return { group, update };
+}
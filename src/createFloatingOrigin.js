@@ -0,0 +1,97 @@
+import * as THREE from "three";
+
+/**
+ * 创建浮动原点：场景坐标系的原点始终保持在焦点（飞船）附近
+ * 焦点离原点超过阈值时，把整个太阳系反向平移、把飞船和相机拉回原点附近，
+ * 使参与渲染的坐标都很小，远离太阳时也不会因float32精度不足而抖动
+ * @param {Object} options - 配置选项
+ * @param {Number} options.threshold - 焦点离原点超过该距离（场景单位）时重新定位原点
+ * @returns {Object} 包含addWorld、addMovable、onShift、update、getOrigin、setThreshold方法的对象
+ */
+export default function createFloatingOrigin(options = {}) {
+  // 默认配置
+  const config = {
+    threshold: 1000,   // 重新定位原点的距离阈值
+    ...options
+  };
+
+  // 当前场景原点在太阳系坐标中的位置，以双精度保存
+  const origin = new THREE.Vector3();
+  const worldRoots = [];
+  const movables = [];
+  const listeners = [];
+  const _shift = new THREE.Vector3();
+
+  /**
+   * 登记随太阳系坐标固定的根对象，其位置始终为原点的相反数
+   * @param {THREE.Object3D} object - 根对象，例如太阳系根组
+   */
+  function addWorld(object) {
+    object.position.copy(origin).negate();
+    worldRoots.push(object);
+  }
+
+  /**
+   * 登记直接以场景坐标定位的对象，原点移动时随之平移
+   * @param {...THREE.Object3D} objects - 飞船、相机等对象
+   */
+  function addMovable(...objects) {
+    movables.push(...objects);
+  }
+
+  /**
+   * 注册原点移动时的回调，用于平移自行保存场景坐标的数据（例如粒子位置）
+   * @param {Function} callback - 回调函数，参数为本次原点的位移（场景单位）
+   */
+  function onShift(callback) {
+    listeners.push(callback);
+  }
+
+  /**
+   * 焦点离原点过远时把原点移到焦点处，应在每帧移动焦点之前调用
+   * @param {THREE.Vector3} focus - 焦点的场景坐标
+   * @returns {Boolean} 本帧是否移动了原点
+   */
+  function update(focus) {
+    if (focus.length() < config.threshold) return false;
+
+    _shift.copy(focus);
+    origin.add(_shift);
+    for (const object of worldRoots) {
+      object.position.copy(origin).negate();
+    }
+    for (const object of movables) {
+      object.position.sub(_shift);
+    }
+    for (const callback of listeners) {
+      callback(_shift);
+    }
+    return true;
+  }
+
+  /**
+   * 获取场景原点在太阳系坐标中的位置
+   * @param {THREE.Vector3} target - 结果写入的向量，可选
+   * @returns {THREE.Vector3} 原点位置
+   */
+  function getOrigin(target = new THREE.Vector3()) {
+    return target.copy(origin);
+  }
+
+  /**
+   * 设置重新定位原点的距离阈值，随尺度模式变化
+   * @param {Number} value - 距离阈值（场景单位）
+   */
+  function setThreshold(value) {
+    config.threshold = value;
+  }
+
+  return {
+    addWorld,
+    addMovable,
+    onShift,
+    update,
+    getOrigin,
+    setThreshold
+  };
+}
@@ -0,0 +1,172 @@
+import * as THREE from "three";
+import { ORBIT_POSITION_GLSL, sampleRayleigh } from "./orbitalMechanics.js";
+import { DISTANCE_KNOTS, MAP_DISTANCE_GLSL, SCALE_MODES } from "./scaleModes.js";
+import { getCatalogEntry } from "./bodyCatalog.js";
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 海王星J2000平黄经与半长轴，取自天体目录，用于确定冥族小天体的共振相位
+const NEPTUNE_ORBIT = getCatalogEntry('neptune').orbit;
+const NEPTUNE_LONGITUDE = NEPTUNE_ORBIT.L * DEG_TO_RAD;
+const NEPTUNE_SEMI_MAJOR_AXIS = NEPTUNE_ORBIT.a;
+
+// 各族群的颜色：经典柯伊伯带天体偏红，冥族小天体偏蓝灰，离散盘天体为灰色
+const GROUP_COLORS = {
+  classical: 0xc8875a,
+  plutino: 0x7f9cc8,
+  scattered: 0x9a9a9a
+};
+
+/**
+ * 按族群抽样一组轨道根数
+ * @param {String} group - 族群：classical | plutino | scattered
+ * @returns {Object} a(AU)、e、i、node、peri、M（弧度）
+ */
+function sampleOrbit(group) {
+  const node = Math.random() * Math.PI * 2;
+  const peri = Math.random() * Math.PI * 2;
+
+  if (group === 'plutino') {
+    // 与海王星3:2共振，共振角φ = 3λ - 2λ海王星 - ϖ 在180°附近摆动，
+    // 使近日点远离海王星，这也是冥王星不会与海王星相撞的原因
+    const a = NEPTUNE_SEMI_MAJOR_AXIS * Math.pow(1.5, 2 / 3) + (Math.random() - 0.5) * 0.4;
+    const libration = (Math.random() - 0.5) * 2 * 80 * DEG_TO_RAD;
+    const branch = Math.floor(Math.random() * 3) * Math.PI * 2;
+    const longitude = (2 * NEPTUNE_LONGITUDE + node + peri + Math.PI + libration + branch) / 3;
+    return {
+      a,
+      e: 0.1 + Math.random() * 0.2,
+      i: Math.min(sampleRayleigh(10), 35) * DEG_TO_RAD,
+      node,
+      peri,
+      M: longitude - node - peri
+    };
+  }
+
+  if (group === 'scattered') {
+    // 近日点在海王星附近，远日点可达上百AU
+    const a = 50 + Math.pow(Math.random(), 2) * 50;
+    const perihelion = 32 + Math.random() * 8;
+    return {
+      a,
+      e: 1 - perihelion / a,
+      i: Math.min(sampleRayleigh(18), 60) * DEG_TO_RAD,
+      node,
+      peri,
+      M: Math.random() * Math.PI * 2
+    };
+  }
+
+  // 经典柯伊伯带：低偏心率，冷族倾角很小，热族倾角较大
+  const hot = Math.random() < 0.35;
+  return {
+    a: 42 + Math.random() * 6,
+    e: Math.min(sampleRayleigh(0.05), 0.2),
+    i: Math.min(sampleRayleigh(hot ? 12 : 2.5), 40) * DEG_TO_RAD,
+    node,
+    peri,
+    M: Math.random() * Math.PI * 2
+  };
+}
+
+/**
+ * 创建柯伊伯带粒子：经典带、冥族小天体与离散盘，公转在顶点着色器中计算
+ * @param {Object} options - 配置选项
+ * @returns {Object} 包含points和update(days)方法的对象
+ */
+export default function createKuiperBelt(options = {}) {
+  // 默认配置
+  const config = {
+    count: 20000,   // 粒子数量
+    // 日心距离换算用的uniform，与太阳系共享以便随尺度模式变化，默认使用压缩比例
+    scaleUniforms: {
+      knotRadii: { value: DISTANCE_KNOTS },
+      knotDistances: { value: SCALE_MODES.compressed.distances },
+      sceneOrigin: { value: new THREE.Vector3() }
+    },
+    mix: { classical: 0.6, plutino: 0.25, scattered: 0.15 }, // 各族群所占比例
+    size: 2.0,      // 粒子大小（像素）
+    ...options
+  };
+
+  const orbitShape = new Float32Array(config.count * 4);
+  const orbitPhase = new Float32Array(config.count * 3);
+  const colors = new Float32Array(config.count * 3);
+  const color = new THREE.Color();
+
+  for (let i = 0; i < config.count; i++) {
+    const roll = Math.random();
+    let group = 'scattered';
+    if (roll < config.mix.classical) {
+      group = 'classical';
+    } else if (roll < config.mix.classical + config.mix.plutino) {
+      group = 'plutino';
+    }
+
+    const orbit = sampleOrbit(group);
+    orbitShape.set([orbit.a, orbit.e, orbit.i, orbit.node], i * 4);
+    // 开普勒第三定律：周期 = 365.25 * a^1.5 天
+    orbitPhase.set([orbit.peri, orbit.M, Math.PI * 2 / (365.25 * Math.pow(orbit.a, 1.5))], i * 3);
+
+    // 颜色略有起伏，避免过于整齐
+    color.setHex(GROUP_COLORS[group]).multiplyScalar(0.75 + Math.random() * 0.5);
+    colors.set([color.r, color.g, color.b], i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  // 位置完全由轨道根数决定，这里只用来确定顶点数量
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(config.count * 3), 3));
+  geometry.setAttribute('orbitShape', new THREE.Float32BufferAttribute(orbitShape, 4));
+  geometry.setAttribute('orbitPhase', new THREE.Float32BufferAttribute(orbitPhase, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      days: { value: 0 },
+      ...config.scaleUniforms,
+      size: { value: config.size }
+    },
+    vertexShader: MAP_DISTANCE_GLSL + ORBIT_POSITION_GLSL + `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
+      uniform float size;
+      attribute vec3 color;
+      varying vec3 vColor;
+      void main() {
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(mapHeliocentric(getOrbitPosition()) - sceneOrigin, 1.0);
+        gl_PointSize = size;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <logdepthbuf_vertex>
+      }
+    `,
+    fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
+      varying vec3 vColor;
+      void main() {
+        #include <logdepthbuf_fragment>
+        // 圆形粒子，边缘柔和
+        float distance = length(gl_PointCoord - vec2(0.5));
+        if (distance > 0.5) discard;
+        gl_FragColor = vec4(vColor, 1.0 - smoothstep(0.3, 0.5, distance));
+      }
+    `,
+    transparent: true,
+    depthWrite: false
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.name = 'kuiperBelt';
+  // 粒子位置在着色器中计算，包围球无法反映真实范围
+  points.frustumCulled = false;
+
+  /**
+   * 推进所有粒子的公转
+   * @param {Number} days - 自J2000历元起的天数
+   */
+  function update(days) {
+    material.uniforms.days.value = days;
+  }
+
+  return { points, update };
+}
@@ -0,0 +1,121 @@
+import * as THREE from "three";
+
+/**
+ * 创建加载界面，用同一个LoadingManager跟踪所有资源的加载进度
+ * 需要页面中存在#loading-screen、#progress-bar和#progress-text元素
+ * @param {Object} options - 配置选项
+ * @returns {Object} 包含manager（传给各个加载器）和getFailedUrls方法的对象
+ */
+export default function createLoadingScreen(options = {}) {
+  // 默认配置
+  const config = {
+    fadeDuration: 1000, // 淡出时长（毫秒）
+    onRetry: () => window.location.reload(), // 点击重试时的操作，默认重新加载页面
+    ...options
+  };
+
+  const loadingScreen = document.getElementById('loading-screen');
+  const progressBar = document.getElementById('progress-bar');
+  const progressText = document.getElementById('progress-text');
+
+  const manager = new THREE.LoadingManager();
+  const failedUrls = [];
+
+  manager.onProgress = (url, itemsLoaded, itemsTotal) => {
+    const percent = Math.round(itemsLoaded / itemsTotal * 100);
+    if (progressBar) progressBar.style.width = `${percent}%`;
+    if (progressText) progressText.textContent = `加载中... ${percent}%（${itemsLoaded}/${itemsTotal}）`;
+  };
+
+  manager.onError = (url) => {
+    console.error('资源加载失败:', url);
+    if (!failedUrls.includes(url)) {
+      failedUrls.push(url);
+    }
+  };
+
+  // 所有资源（包括失败的）处理完毕后触发
+  manager.onLoad = () => {
+    if (progressBar) progressBar.style.width = '100%';
+    if (failedUrls.length) {
+      showRetryPanel();
+    } else {
+      hide();
+    }
+  };
+
+  // 淡出并移除加载界面
+  function hide() {
+    if (!loadingScreen) return;
+    if (progressText) progressText.textContent = '加载完成';
+    loadingScreen.style.transition = `opacity ${config.fadeDuration}ms ease`;
+    loadingScreen.style.opacity = '0';
+    setTimeout(() => {
+      loadingScreen.style.display = 'none';
+    }, config.fadeDuration);
+  }
+
+  // 列出加载失败的资源，提供重试与跳过两个选项
+  function showRetryPanel() {
+    if (!loadingScreen) return;
+    if (progressText) progressText.textContent = `有${failedUrls.length}个资源加载失败`;
+
+    const panel = document.createElement('div');
+    panel.style.marginTop = '20px';
+    panel.style.padding = '15px';
+    panel.style.maxWidth = '80%';
+    panel.style.backgroundColor = 'rgba(0, 50, 100, 0.6)';
+    panel.style.border = '1px solid #0cf';
+    panel.style.borderRadius = '5px';
+    panel.style.fontSize = '14px';
+
+    const title = document.createElement('div');
+    title.textContent = '以下资源加载失败：';
+    title.style.color = '#0cf';
+    title.style.marginBottom = '8px';
+    panel.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.style.margin = '0 0 12px 0';
+    list.style.paddingLeft = '20px';
+    list.style.maxHeight = '200px';
+    list.style.overflowY = 'auto';
+    for (const url of failedUrls) {
+      const item = document.createElement('li');
+      item.textContent = url;
+      list.appendChild(item);
+    }
+    panel.appendChild(list);
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '10px';
+    buttons.style.justifyContent = 'center';
+    buttons.appendChild(createButton('重试', config.onRetry));
+    buttons.appendChild(createButton('继续浏览', () => {
+      panel.remove();
+      hide();
+    }));
+    panel.appendChild(buttons);
+
+    loadingScreen.appendChild(panel);
+  }
+
+  function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.padding = '5px 15px';
+    button.style.backgroundColor = 'rgba(0, 100, 200, 0.6)';
+    button.style.color = 'white';
+    button.style.border = '1px solid #0cf';
+    button.style.borderRadius = '3px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  return {
+    manager,
+    getFailedUrls: () => failedUrls.slice()
+  };
+}
@@ -0,0 +1,256 @@
+import * as THREE from "three";
+import { getElementsAtDate, dateToJulianDay, J2000_JULIAN_DAY } from "./ephemeris.js";
+import { solveKepler } from "./orbitalMechanics.js";
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 各类天体的轨道线颜色
+const TYPE_COLORS = {
+  planet: 0x3399ff,
+  dwarf: 0xaa8866,
+  asteroid: 0xaa8866,
+  moon: 0x88aacc,
+  comet: 0x66ccaa
+};
+
+// 选中天体的轨道线颜色
+const HIGHLIGHT_COLOR = 0x00ccff;
+
+/**
+ * 创建轨道线图层：每个天体一条闭合轨道线，天体前方（未来）明亮，后方（过去）渐隐
+ * 轨道线通过太阳系控制器的getOrbitPosition采样，与天体实际的运动完全一致
+ * @param {Object} planets - createSolarSystem返回的控制器
+ * @param {Object} options - 配置选项
+ * @returns {Object} 包含update(simTime, camera)、setSelected、setVisible、isVisible、dispose方法的对象
+ */
+export default function createOrbitLines(planets, options = {}) {
+  // 默认配置
+  const config = {
+    segments: 256,          // 每条轨道线的分段数
+    opacity: 0.35,          // 普通轨道线的亮度
+    highlightOpacity: 1.0,  // 选中天体轨道线的亮度
+    tailOpacity: 0.08,      // 轨道线在天体正后方（刚经过处）的亮度比例
+    moonFadeStart: 10,      // 相机距中心天体小于卫星轨道半径的该倍数时，卫星轨道线开始淡入
+    moonFadeEnd: 5,         // 小于该倍数时卫星轨道线完全显示
+    visible: true,
+    ...options
+  };
+
+  const lines = [];
+  let selectedName = null;
+  let visible = config.visible;
+
+  const _parentPosition = new THREE.Vector3();
+  const _cameraPosition = new THREE.Vector3();
+  const _position = new THREE.Vector3();
+
+  for (const name of planets.getBodyNames()) {
+    const entry = planets.getBody(name);
+    if (!entry.body.orbit) continue;
+    lines.push(createLine(name, entry));
+  }
+
+  /**
+   * 为一个天体创建轨道线，几何体在第一次update时采样
+   * @param {String} name - 天体名称
+   * @param {Object} entry - 天体各部分的引用
+   * @returns {Object} 轨道线状态
+   */
+  function createLine(name, entry) {
+    const { body } = entry;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((config.segments + 1) * 3), 3));
+    geometry.setAttribute('phase', new THREE.BufferAttribute(new Float32Array(config.segments + 1), 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        color: { value: new THREE.Color(TYPE_COLORS[body.type] || TYPE_COLORS.planet) },
+        opacity: { value: config.opacity },
+        currentPhase: { value: 0 },
+        tailOpacity: { value: config.tailOpacity }
+      },
+      vertexShader: `
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+        attribute float phase;
+        varying float vPhase;
+
+        void main() {
+          vPhase = phase;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #include <logdepthbuf_vertex>
+        }
+      `,
+      fragmentShader: `
+        #include <logdepthbuf_pars_fragment>
+        uniform vec3 color;
+        uniform float opacity;
+        uniform float currentPhase;
+        uniform float tailOpacity;
+        varying float vPhase;
+
+        void main() {
+          #include <logdepthbuf_fragment>
+          // 从天体当前位置沿运动方向走过的轨道比例：刚到前方为0，刚经过的后方接近1
+          float ahead = fract(vPhase - currentPhase);
+          float fade = mix(1.0, tailOpacity, ahead);
+          gl_FragColor = vec4(color, opacity * fade);
+        }
+      `,
+      transparent: true,
+      depthWrite: false
+    });
+
+    const line = new THREE.Line(geometry, material);
+    line.name = `${name}Orbit`;
+    // 顶点每次重新采样后会改变，不做视锥剔除
+    line.frustumCulled = false;
+    const parent = body.parent ? planets.getBody(body.parent) : null;
+    (parent ? parent.system : planets.solarSystem).add(line);
+
+    return {
+      name,
+      entry,
+      parent,
+      line,
+      material,
+      baseColor: material.uniforms.color.value.clone(),
+      startDays: null,
+      period: 0,
+      radius: 0,
+      scaleRevision: -1
+    };
+  }
+
+  /**
+   * 从指定时刻开始沿运动方向采样一整圈轨道
+   * 按偏近点角等间隔取样，高偏心率轨道在近日点附近也足够平滑
+   * @param {Object} state - 轨道线状态
+   * @param {Number} days - 自J2000历元起的天数
+   */
+  function sampleOrbit(state, days) {
+    const { orbit } = state.entry.body;
+    const elements = getElementsAtDate(orbit, days);
+    const e = elements.eccentricity;
+    // 平近点角的变化率（弧度/天），与所用的根数表一致
+    const meanMotion = Math.PI * 2 / elements.period;
+    const M0 = elements.meanAnomaly * DEG_TO_RAD;
+    const E0 = solveKepler(M0, e);
+    const M0Unwrapped = E0 - e * Math.sin(E0);
+
+    const positions = state.line.geometry.attributes.position;
+    const phases = state.line.geometry.attributes.phase;
+    let radius = 0;
+    for (let i = 0; i <= config.segments; i++) {
+      const E = E0 + Math.PI * 2 * i / config.segments;
+      const M = E - e * Math.sin(E);
+      // 该点对应的时刻，用与天体运动相同的轨道模型计算位置
+      const sampleDays = days + (M - M0Unwrapped) / meanMotion;
+      planets.getOrbitPosition(state.name, sampleDays, _position);
+      positions.setXYZ(i, _position.x, _position.y, _position.z);
+      phases.setX(i, (M - M0Unwrapped) / (Math.PI * 2));
+      radius = Math.max(radius, _position.length());
+    }
+    positions.needsUpdate = true;
+    phases.needsUpdate = true;
+
+    state.startDays = days;
+    state.period = Math.PI * 2 / meanMotion;
+    state.radius = radius;
+    state.scaleRevision = planets.getScaleRevision();
+  }
+
+  /**
+   * 按相机距离设置轨道线的显示与亮度：卫星轨道线只在相机靠近中心天体时显示
+   * 使用最近一次update时的相机位置
+   * @param {Object} state - 轨道线状态
+   * @returns {Boolean} 轨道线是否可见
+   */
+  function applyFade(state) {
+    let fade = 1;
+    if (state.parent) {
+      const orbitRadius = state.radius || state.entry.system.position.length();
+      state.parent.system.getWorldPosition(_parentPosition);
+      const distance = _cameraPosition.distanceTo(_parentPosition);
+      const start = orbitRadius * config.moonFadeStart;
+      const end = orbitRadius * config.moonFadeEnd;
+      fade = THREE.MathUtils.clamp((start - distance) / (start - end), 0, 1);
+    }
+    const selected = state.name === selectedName;
+    state.material.uniforms.opacity.value = (selected ? config.highlightOpacity : config.opacity) * fade;
+    state.line.visible = fade > 0;
+    return state.line.visible;
+  }
+
+  /**
+   * 推进轨道线：天体走完一圈、时间倒流或尺度模式变化时重新采样，并按相机距离显示卫星轨道
+   * 需在太阳系控制器的update之后调用
+   * @param {Date|Number} simTime - 模拟时刻（日期对象或毫秒时间戳）
+   * @param {THREE.Camera} camera - 当前相机
+   */
+  function update(simTime, camera) {
+    if (!visible) return;
+    const days = dateToJulianDay(simTime) - J2000_JULIAN_DAY;
+    camera.getWorldPosition(_cameraPosition);
+
+    for (const state of lines) {
+      if (!applyFade(state)) continue;
+
+      const elapsed = state.startDays === null ? -1 : days - state.startDays;
+      if (elapsed < 0 || elapsed >= state.period || state.scaleRevision !== planets.getScaleRevision()) {
+        sampleOrbit(state, days);
+      }
+
+      const uniforms = state.material.uniforms;
+      uniforms.currentPhase.value = (days - state.startDays) / state.period;
+      if (state.name === selectedName) {
+        uniforms.color.value.setHex(HIGHLIGHT_COLOR);
+      } else {
+        uniforms.color.value.copy(state.baseColor);
+      }
+    }
+  }
+
+  /**
+   * 高亮指定天体的轨道线
+   * @param {String|null} name - 天体名称，传入null取消高亮
+   */
+  function setSelected(name) {
+    selectedName = name;
+  }
+
+  /**
+   * 显示或隐藏整个轨道线图层，显示时立即按相机距离淡出卫星轨道线，不等下一次update
+   * @param {Boolean} value - 是否显示
+   */
+  function setVisible(value) {
+    visible = value;
+    for (const state of lines) {
+      if (value) {
+        applyFade(state);
+      } else {
+        state.line.visible = false;
+      }
+    }
+  }
+
+  /**
+   * 释放所有轨道线的几何体与材质，并将其从场景中移除
+   */
+  function dispose() {
+    for (const state of lines) {
+      state.line.removeFromParent();
+      state.line.geometry.dispose();
+      state.material.dispose();
+    }
+    lines.length = 0;
+  }
+
+  return {
+    update,
+    setSelected,
+    setVisible,
+    isVisible: () => visible,
+    dispose
+  };
+}
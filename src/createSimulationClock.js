@@ -0,0 +1,108 @@
+// J2000历元（2000-01-01 12:00 UTC）对应的毫秒时间戳
+export const J2000_TIME = Date.UTC(2000, 0, 1, 12, 0, 0);
+
+const MS_PER_DAY = 86400000;
+
+// 时间倍率预设（模拟秒/真实秒），按从倒流到快进排序
+export const RATE_PRESETS = [
+  { label: '-10年/秒', rate: -315576000 },
+  { label: '-1年/秒', rate: -31557600 },
+  { label: '-1月/秒', rate: -2629800 },
+  { label: '-1周/秒', rate: -604800 },
+  { label: '-1天/秒', rate: -86400 },
+  { label: '-1小时/秒', rate: -3600 },
+  { label: '-1x', rate: -1 },
+  { label: '1x', rate: 1 },
+  { label: '1分钟/秒', rate: 60 },
+  { label: '1小时/秒', rate: 3600 },
+  { label: '1天/秒', rate: 86400 },
+  { label: '1周/秒', rate: 604800 },
+  { label: '1月/秒', rate: 2629800 },
+  { label: '1年/秒', rate: 31557600 },
+  { label: '10年/秒', rate: 315576000 }
+];
+
+/**
+ * 创建模拟时钟，统一驱动所有公转与自转
+ * @param {Object} options - 配置选项
+ * @returns {Object} 时钟对象
+ */
+export default function createSimulationClock(options = {}) {
+  const config = {
+    startTime: Date.now(), // 模拟起始时刻（毫秒时间戳）
+    rate: 604800,          // 默认1周/秒，与原先约1分钟公转一周的节奏相近
+    paused: false,
+    maxDelta: 0.1,         // 单帧最大真实间隔（秒），避免页面切回前台时跳变
+    minTime: -Infinity,    // 允许的最早时刻（毫秒时间戳）
+    maxTime: Infinity,     // 允许的最晚时刻（毫秒时间戳）
+    ...options
+  };
+
+  let time = clampTime(config.startTime);
+  let rate = config.rate;
+  let paused = config.paused;
+
+  // 将时刻限制在允许范围内
+  function clampTime(value) {
+    return Math.min(Math.max(value, config.minTime), config.maxTime);
+  }
+
+  // 根据真实帧间隔推进模拟时间，返回本帧经过的模拟秒数
+  function update(realDelta) {
+    if (paused) return 0;
+    const previousTime = time;
+    time = clampTime(time + Math.min(Math.max(realDelta, 0), config.maxDelta) * rate * 1000);
+    
+    // 到达时间范围边界时自动暂停
+    if (time === config.minTime || time === config.maxTime) {
+      paused = true;
+    }
+    return (time - previousTime) / 1000;
+  }
+
+  // 查找当前倍率在预设中的位置
+  function getPresetIndex() {
+    let index = 0;
+    for (let i = 0; i < RATE_PRESETS.length; i++) {
+      if (Math.abs(RATE_PRESETS[i].rate - rate) < Math.abs(RATE_PRESETS[index].rate - rate)) {
+        index = i;
+      }
+    }
+    return index;
+  }
+
+  function faster() {
+    const index = Math.min(getPresetIndex() + 1, RATE_PRESETS.length - 1);
+    rate = RATE_PRESETS[index].rate;
+  }
+
+  function slower() {
+    const index = Math.max(getPresetIndex() - 1, 0);
+    rate = RATE_PRESETS[index].rate;
+  }
+
+  // 获取当前倍率的显示名称
+  function getRateLabel() {
+    const preset = RATE_PRESETS.find((p) => p.rate === rate);
+    return preset ? preset.label : `${rate}x`;
+  }
+
+  return {
+    update,
+    play: () => { paused = false; },
+    pause: () => { paused = true; },
+    togglePause: () => { paused = !paused; },
+    isPaused: () => paused,
+    setRate: (value) => { rate = value; },
+    getRate: () => rate,
+    getRateLabel,
+    faster,
+    slower,
+    reverse: () => { rate = -rate; },
+    setTime: (value) => { time = clampTime(value); },
+    getTime: () => time,
+    getDate: () => new Date(time),
+    // 自J2000历元起的天数，供轨道与自转计算使用
+    getDaysSinceJ2000: () => (time - J2000_TIME) / MS_PER_DAY
+  };
+}
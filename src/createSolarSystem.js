@@ -1,31 +1,157 @@
 import * as THREE from "three";
 import { getFresnelMat } from "./getFresnelMat.js";
+import { getAtmosphereMat } from "./getAtmosphereMat.js";
+import { getEarthMaterial } from "./getEarthMaterial.js";
+import {
+  getHeliocentricPosition,
+  getPoleOrientation,
+  getPrimeMeridianAngle,
+  dateToJulianDay,
+  J2000_JULIAN_DAY
+} from "./ephemeris.js";
+import { createProceduralCanvas, createSolidCanvas } from "./getProceduralTexture.js";
+import createAsteroidBelt from "./createAsteroidBelt.js";
+import createKuiperBelt from "./createKuiperBelt.js";
+import createComet from "./createComet.js";
+import { MAX_SHADOW_SPHERES, createEclipseUniforms, applyEclipseShadows } from "./eclipseShadows.js";
+import { BODY_CATALOG, EARTH_RADIUS, getCatalogEntry } from "./bodyCatalog.js";
+import {
+  SCALE_MODES,
+  DISTANCE_KNOTS,
+  mapDistance,
+  getModeRadius,
+  getSatelliteDistance
+} from "./scaleModes.js";
+
+// 地球真实半径（千米），用于换算卫星轨道距离
+const EARTH_RADIUS_KM = 6371;
+
+// 将卫星轨道从中心天体的北极参考系翻转到其自转正极参考系（用于逆向自转的中心天体）
+const FLIP_POLE = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI);
+
+// 用相隔一天的两个位置估算彗星的运动方向
+const VELOCITY_STEP_DAYS = 1;
+
+// 1AU处的太阳照度：正对太阳的白色漫反射表面亮度为1（漫反射BRDF为反照率/π）
+const SUN_IRRADIANCE = Math.PI;
+
+// 网格细分级别相对目录值的偏移
+const DETAIL_OFFSETS = { high: 0, medium: -3, low: -6 };
+
+// 低贴图质量时跳过的辅助贴图
+const SECONDARY_MAPS = ['bumpMap', 'normalMap', 'specularMap', 'metalnessMap', 'roughnessMap'];
+
+// 加载失败时改用程序化图像的贴图，其余贴图改用下面的中性纯色
+const PROCEDURAL_MAPS = ['map', 'bumpMap', 'alphaMap'];
+const NEUTRAL_MAP_COLORS = {
+  normalMap: '#8080ff',   // 平坦法线
+  specularMap: '#000000', // 无高光
+  metalnessMap: '#000000',
+  roughnessMap: '#ffffff' // 保持材质自身的粗糙度
+};
 
 /**
  * 创建完整的太阳系行星系统
+ * 返回的控制器负责所有天体的公转、自转与太阳特效动画，使用方只需每帧调用update
  * @param {THREE.LoadingManager} loadingManager - 资源加载管理器
  * @param {Object} options - 配置选项
- * @returns {Object} 包含太阳系组和各个行星组的对象
+ * @param {String[]} options.bodies - 要包含的天体名称，默认包含目录中的全部天体（太阳始终包含）
+ * @param {String} options.detail - 网格细分级别：high | medium | low
+ * @param {Boolean} options.flareRings - 是否创建太阳耀斑环
+ * @param {Boolean} options.eruptions - 是否创建太阳喷发粒子
+ * @param {Boolean} options.labels - 是否创建天体标签
+ * @param {String} options.textureQuality - 贴图质量：high使用全部贴图，low只使用颜色与透明贴图，
+ *                                          none不加载图片，全部使用程序化贴图
+ * @param {Boolean} options.asteroidBelt - 是否创建小行星主带
+ * @param {Number} options.asteroidCount - 小行星主带的岩石数量
+ * @param {Boolean} options.kuiperBelt - 是否创建柯伊伯带粒子及阋神星、妊神星、鸟神星、赛德娜等矮行星
+ * @param {Number} options.kuiperCount - 柯伊伯带的粒子数量
+ * @param {Boolean} options.comets - 是否创建哈雷、海尔-波普、67P与恩克彗星
+ * @param {String} options.scaleMode - 初始尺度模式：true | compressed | schematic，见scaleModes.js
+ * @param {Number} options.scaleTransition - 切换尺度模式的过渡时长（秒）
+ * @returns {Object} 控制器：solarSystem根组，以及update、getBody、getBodyNames、getWorldPosition、getOrbitPosition、
+ *                   getSunIrradiance、setScaleMode、getScaleMode、isScaleTransitioning、getScaleRevision、dispose方法
  */
 function createSolarSystem(loadingManager = null, options = {}) {
-  // 使用传入的loadingManager或创建新的
-  const textureLoader = new THREE.TextureLoader(loadingManager);
+  // 默认配置
+  const config = {
+    bodies: null,
+    detail: 'high',
+    flareRings: true,
+    eruptions: true,
+    labels: true,
+    textureQuality: 'high',
+    asteroidBelt: true,
+    asteroidCount: 30000,
+    kuiperBelt: true,
+    kuiperCount: 20000,
+    comets: true,
+    scaleMode: 'compressed',
+    scaleTransition: 2,
+    ...options
+  };
+  
+  // 尺度模式：切换时在from与to两个模式之间按progress平滑过渡
+  // 网格按初始模式的半径创建，之后通过缩放适应当前模式
+  if (!SCALE_MODES[config.scaleMode]) {
+    console.warn(`未知的尺度模式：${config.scaleMode}，改用压缩比例`);
+    config.scaleMode = 'compressed';
+  }
+  const initialMode = SCALE_MODES[config.scaleMode];
+  const scaleState = {
+    name: config.scaleMode,
+    fromName: config.scaleMode,
+    from: initialMode,
+    to: initialMode,
+    progress: 1,
+    blend: 1,
+    revision: 0
+  };
+  // 日心距离换算的分段节点与浮动原点，与小行星带、柯伊伯带的着色器共享
+  const scaleUniforms = {
+    knotRadii: { value: new Float32Array(DISTANCE_KNOTS) },
+    knotDistances: { value: new Float32Array(initialMode.distances) },
+    sceneOrigin: { value: new THREE.Vector3() }
+  };
+  const sunRadius = getModeRadius(initialMode, getCatalogEntry('sun'));
+  
+  // 使用传入的loadingManager或默认的管理器统计加载进度
+  // 每张贴图在加载失败时都会换成程序化图像或中性纯色（见loadMap），因此不向管理器报告失败，
+  // 加载界面不会把已替代的贴图列为失败资源
+  const textureManager = Object.create(loadingManager || THREE.DefaultLoadingManager);
+  textureManager.itemError = () => {};
+  const textureLoader = new THREE.TextureLoader(textureManager);
+  // 已生成的程序化贴图图像，按贴图定义缓存
+  const fallbackCanvases = new Map();
+  const _orbitFrame = new THREE.Quaternion();
+  const _cometPosition = new THREE.Vector3();
+  const _cometVelocity = new THREE.Vector3();
+  const _cometPrevious = new THREE.Vector3();
+  const _sunPosition = new THREE.Vector3();
+  const _bodyPosition = new THREE.Vector3();
+  const _casterPosition = new THREE.Vector3();
   
   // 创建太阳系统根组
   const solarSystem = new THREE.Group();
   
+  // 太阳表面贴图只加载一次，由着色器层与内部发光层共用，同样遵循贴图质量设置
+  const sunMaterial = getCatalogEntry('sun').material;
+  const sunTexture = loadMap('map', sunMaterial.map, sunMaterial.fallback);
+  
   // 创建太阳
-  const sunGeometry = new THREE.IcosahedronGeometry(100 * 1.5, 15);
+  const sunGeometry = new THREE.IcosahedronGeometry(sunRadius, getDetail(15));
   
   // 创建自定义着色器材质，实现太阳表面的明亮效果和红色耀斑
   const sunShaderMaterial = new THREE.ShaderMaterial({
     uniforms: {
       time: { value: 0.0 },
-      sunTexture: { value: textureLoader.load("./textures/sunmap.jpg") },
+      sunTexture: { value: sunTexture },
       sunColor: { value: new THREE.Color(0xffaa00) },
       flareColor: { value: new THREE.Color(0xff2200) }
     },
     vertexShader: `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
       varying vec2 vUv;
       varying vec3 vNormal;
       varying vec3 vPosition;
@@ -35,9 +161,11 @@ function createSolarSystem(loadingManager = null, options = {}) {
         vNormal = normalize(normalMatrix * normal);
         vPosition = position;
         gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        #include <logdepthbuf_vertex>
       }
     `,
     fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
       uniform float time;
       uniform sampler2D sunTexture;
       uniform vec3 sunColor;
@@ -70,6 +198,7 @@ function createSolarSystem(loadingManager = null, options = {}) {
       }
       
       void main() {
+        #include <logdepthbuf_fragment>
         // 基础纹理
         vec4 texColor = texture2D(sunTexture, vUv);
         
@@ -104,8 +233,16 @@ function createSolarSystem(loadingManager = null, options = {}) {
   // 不再使用旧的sunMaterial
   // const sunMaterial = new THREE.MeshStandardMaterial({...});
 
+  // 太阳组：太阳本体及耀斑环、大气、喷发粒子等特效，随尺度模式整体缩放
+  const sunGroup = new THREE.Group();
+  solarSystem.add(sunGroup);
+  
+  // 太阳赤道组，按IAU自转根数确定太阳自转轴的朝向
+  const sunEquator = new THREE.Group();
+  sunGroup.add(sunEquator);
+  
   const sunMesh = new THREE.Mesh(sunGeometry, sunShaderMaterial);
-  solarSystem.add(sunMesh);
+  sunEquator.add(sunMesh);
   
   // 添加太阳辉光效果
   const sunGlowMaterial = new THREE.ShaderMaterial({
@@ -113,16 +250,21 @@ function createSolarSystem(loadingManager = null, options = {}) {
       color: { value: new THREE.Color(0xffcc22) }
     },
     vertexShader: `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
       varying vec3 vNormal;
       void main() {
         vNormal = normalize(normalMatrix * normal);
         gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        #include <logdepthbuf_vertex>
       }
     `,
     fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
       uniform vec3 color;
       varying vec3 vNormal;
       void main() {
+        #include <logdepthbuf_fragment>
         float intensity = pow(0.65 - dot(vNormal, vec3(0, 0, 1.0)), 2.0);
         gl_FragColor = vec4(color, 1.0) * intensity;
       }
@@ -132,9 +274,9 @@ function createSolarSystem(loadingManager = null, options = {}) {
   });
   
   // 添加第二层内部发光效果
-  const sunCoreGeometry = new THREE.IcosahedronGeometry(95 * 1.5, 15);
+  const sunCoreGeometry = new THREE.IcosahedronGeometry(sunRadius * 0.95, getDetail(15));
   const sunCoreMaterial = new THREE.MeshBasicMaterial({
-    map: textureLoader.load("./textures/sunmap.jpg"),
+    map: sunTexture,
     blending: THREE.AdditiveBlending,
     transparent: true,
     opacity: 0.6
@@ -142,393 +284,827 @@ function createSolarSystem(loadingManager = null, options = {}) {
 
   const sunCoreMesh = new THREE.Mesh(sunCoreGeometry, sunCoreMaterial);
   sunCoreMesh.scale.setScalar(0.99); // 略小于主太阳
-  solarSystem.add(sunCoreMesh);
+  sunEquator.add(sunCoreMesh);
 
   const sunGlowMesh = new THREE.Mesh(sunGeometry, sunGlowMaterial);
   sunGlowMesh.scale.setScalar(1.3);
-  solarSystem.add(sunGlowMesh);
+  sunEquator.add(sunGlowMesh);
 
-  // 为太阳添加专门的光源
-  const sunSurfaceLight = new THREE.PointLight(0xffffaa, 500.0, 500); // 增大表面光强度和范围
-  sunSurfaceLight.position.set(0, 0, 0);
-  sunMesh.add(sunSurfaceLight);
-  
-  // 添加太阳光源
-  const sunLight = new THREE.PointLight(0xffffff, 1000000.0, 10000000000); // 增大光源强度50倍，范围扩大500倍
+  // 太阳光源：所有天体只由它照亮，按距离平方衰减，强度随尺度模式变化，使1AU处的照度始终为SUN_IRRADIANCE
+  const sunLight = new THREE.PointLight(0xffffff, 0, 0, 2);
+  sunLight.name = 'sunLight';
   sunLight.position.set(0, 0, 0); // 光源位于太阳中心
   solarSystem.add(sunLight);
   
-  // 太阳半径
-  const SUN_RADIUS = 100 * 1.5; // 太阳半径作为基准
-  
-  // 基础单位 - 用于调整整体尺度
-  const AU_SCALE = 400; // 天文单位的缩放比例，从250增加到400
-  
-  // 各行星平均距离太阳的天文单位值（真实数据）
-  const MERCURY_AU = 0.39;
-  const VENUS_AU = 0.72;
-  const EARTH_AU = 1.0;
-  const MARS_AU = 1.52;
-  const JUPITER_AU = 5.2;
-  const SATURN_AU = 9.54;
-  const URANUS_AU = 19.2;
-  const NEPTUNE_AU = 30.06;
-  const PLUTO_AU = 39.5;
-  
-  // 各行星相对地球半径的比例（真实数据）
-  const EARTH_RADIUS = 10; // 地球半径作为基准
-  const MERCURY_RADIUS_RATIO = 0.38;
-  const VENUS_RADIUS_RATIO = 0.95;
-  const MARS_RADIUS_RATIO = 0.53;
-  const JUPITER_RADIUS_RATIO = 11.2;
-  const SATURN_RADIUS_RATIO = 9.45;
-  const URANUS_RADIUS_RATIO = 4.0;
-  const NEPTUNE_RADIUS_RATIO = 3.88;
-  const PLUTO_RADIUS_RATIO = 0.18;
-  const MOON_RADIUS_RATIO = 0.27; // 相对地球
-  
-  // ============== 水星 ==============
-  // 按照真实比例：水星直径约为地球的0.38倍，距离太阳约0.39AU
-  const mercurySystem = new THREE.Group();
-  solarSystem.add(mercurySystem);
-  
-  const mercuryGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * MERCURY_RADIUS_RATIO, 8);
-  const mercuryMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/mercury/mercurymapthumb.jpg"),
-    bumpMap: textureLoader.load("./textures/mercury/mercurybumpthumb.jpg"),
-    bumpScale: 0.04,
-    transparent: false // 确保不透明
-  });
+  // 按目录顺序创建各天体，卫星挂载到中心天体的系统组上（目录中中心天体须排在卫星之前）
+  // 太阳的各层网格已在上面创建，这里只登记引用
+  const bodies = {
+    sun: {
+      body: getCatalogEntry('sun'),
+      radius: sunRadius,
+      baseRadius: sunRadius,
+      system: solarSystem,
+      equator: sunEquator,
+      scaleGroup: sunGroup,
+      spin: sunMesh,
+      mesh: sunMesh,
+      glowMesh: sunGlowMesh,
+      sunDirection: null,
+      rings: [],
+      comet: null,
+      shadowCasters: [],
+      eclipseUniforms: null,
+      ringEclipseUniforms: [],
+      label: null,
+      satelliteRank: 0
+    }
+  };
+  for (const body of BODY_CATALOG) {
+    if (body.type === 'star') continue; // 太阳使用上面的专用着色器创建
+    if (config.bodies && !config.bodies.includes(body.name)) continue;
+    if (body.group && !config[body.group]) continue; // 所属族群已关闭
+    if (body.parent && !bodies[body.parent]) continue; // 中心天体未包含时跳过其卫星
+    const parentGroup = body.parent ? bodies[body.parent].system : solarSystem;
+    bodies[body.name] = createBody(body, parentGroup);
+  }
   
-  const mercuryMesh = new THREE.Mesh(mercuryGeometry, mercuryMaterial);
-  mercurySystem.add(mercuryMesh);
-  
-  // 水星光晕
-  const mercuryGlowMesh = new THREE.Mesh(
-    mercuryGeometry, 
-    getFresnelMat(new THREE.Color(0x777777))
-  );
-  mercuryGlowMesh.scale.setScalar(1.01);
-  mercurySystem.add(mercuryGlowMesh);
-  
-  // 水星的轨道距离
-  mercurySystem.position.set(AU_SCALE * MERCURY_AU, 0, 0);
-  
-  // ============== 金星 ==============
-  // 按照真实比例：金星直径约为地球的0.95倍，距离太阳约0.72AU
-  const venusSystem = new THREE.Group();
-  solarSystem.add(venusSystem);
-  
-  const venusGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * VENUS_RADIUS_RATIO, 8);
-  const venusMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/venus/venusmapthumb.jpg"),
-    bumpMap: textureLoader.load("./textures/venus/venusbumpthumb.jpg"),
-    bumpScale: 0.04,
-    transparent: false // 确保不透明
-  });
+  // 卫星在同一中心天体的卫星中由近到远的次序，示意图模式按此等间距排列
+  for (const entry of Object.values(bodies)) {
+    if (!entry.body.parent) continue;
+    entry.satelliteRank = Object.values(bodies).filter((other) => (
+      other.body.parent === entry.body.parent && other.body.orbit.a < entry.body.orbit.a
+    )).length;
+  }
   
-  const venusMesh = new THREE.Mesh(venusGeometry, venusMaterial);
-  venusSystem.add(venusMesh);
-  
-  // 金星光晕 - 黄色调，模拟其厚重大气层反射阳光
-  const venusGlowMesh = new THREE.Mesh(
-    venusGeometry, 
-    getFresnelMat(new THREE.Color(0xbbaa77))
-  );
-  venusGlowMesh.scale.setScalar(1.02); // 金星光晕稍大，模拟厚厚的大气层
-  venusSystem.add(venusGlowMesh);
-  
-  // 金星的轨道距离
-  venusSystem.position.set(AU_SCALE * VENUS_AU, 0, 0);
-  
-  // ============== 地球 ==============
-  // 地球系统在主index.js中定义，这里不需要再定义
-  const earthSystem = new THREE.Group();
-  solarSystem.add(earthSystem);
-  
-  // 地球组
-  const earthGroup = new THREE.Group();
-  earthGroup.rotation.z = -23.4 * Math.PI / 180; // 地球倾斜角度
-  earthSystem.add(earthGroup);
-  
-  const earthGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS, 12);
-  const earthMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/00_earthmap1k.jpg"),
-    specularMap: textureLoader.load("./textures/02_earthspec1k.jpg"),
-    bumpMap: textureLoader.load("./textures/01_earthbump1k.jpg"),
-    bumpScale: 0.04,
-    transparent: false // 确保不透明
-  });
+  // 日食、月食与行星环投影：天体接收中心天体及其卫星（由近到远）的投影，有环的行星还接收环的投影，环接收行星的投影
+  for (const entry of Object.values(bodies)) {
+    if (entry.body.type === 'star') continue;
+    const satellites = Object.values(bodies)
+      .filter((other) => other.body.parent === entry.body.name)
+      .sort((a, b) => a.satelliteRank - b.satelliteRank);
+    entry.shadowCasters = [
+      ...(entry.body.parent ? [bodies[entry.body.parent]] : []),
+      ...satellites
+    ].slice(0, MAX_SHADOW_SPHERES);
+    if (entry.shadowCasters.length > 0 || entry.rings.length > 0) {
+      entry.eclipseUniforms = createEclipseUniforms();
+      applyEclipseShadows(entry.mesh.material, entry.eclipseUniforms);
+    }
+    entry.ringEclipseUniforms = entry.rings.map((ringMesh) => {
+      const uniforms = createEclipseUniforms();
+      applyEclipseShadows(ringMesh.material, uniforms);
+      return uniforms;
+    });
+  }
   
-  const earthMesh = new THREE.Mesh(earthGeometry, earthMaterial);
-  earthGroup.add(earthMesh);
+  /**
+   * 按配置的细分级别换算网格细分数
+   * @param {Number} detail - 目录中的细分级别
+   * @returns {Number} 实际使用的细分级别
+   */
+  function getDetail(detail) {
+    return Math.max(1, detail + (DETAIL_OFFSETS[config.detail] || 0));
+  }
   
-  const lightsMat = new THREE.MeshBasicMaterial({
-    map: textureLoader.load("./textures/03_earthlights1k.jpg"),
-    blending: THREE.AdditiveBlending,
-  });
+  /**
+   * 加载贴图，低贴图质量时跳过辅助贴图；图片加载失败时换成程序化图像或中性纯色
+   * @param {String} key - 材质参数名
+   * @param {String} url - 贴图路径
+   * @param {Object|String} fallback - 程序化贴图定义（见getProceduralTexture.js），或替代用的CSS纯色
+   * @returns {THREE.Texture|null} 贴图
+   */
+  function loadMap(key, url, fallback) {
+    const procedural = typeof fallback === 'object' && PROCEDURAL_MAPS.includes(key);
+    if (config.textureQuality === 'none') {
+      // 无贴图模式只保留程序化的颜色与透明贴图
+      return procedural && key !== 'bumpMap' ? getFallbackTexture(fallback) : null;
+    }
+    if (config.textureQuality === 'low' && SECONDARY_MAPS.includes(key)) return null;
+    
+    const texture = textureLoader.load(url, undefined, undefined, () => {
+      console.warn(`贴图加载失败，改用程序化贴图: ${url}`);
+      if (procedural) {
+        texture.image = getFallbackCanvas(fallback);
+      } else {
+        texture.image = createSolidCanvas(typeof fallback === 'string' ? fallback : NEUTRAL_MAP_COLORS[key] || '#000000');
+      }
+      texture.needsUpdate = true;
+    });
+    return texture;
+  }
   
-  const lightsMesh = new THREE.Mesh(earthGeometry, lightsMat);
-  earthGroup.add(lightsMesh);
+  // 同一定义的程序化图像只生成一次
+  function getFallbackCanvas(fallback) {
+    if (!fallbackCanvases.has(fallback)) {
+      fallbackCanvases.set(fallback, createProceduralCanvas(fallback));
+    }
+    return fallbackCanvases.get(fallback);
+  }
   
-  const cloudsMat = new THREE.MeshStandardMaterial({
-    map: textureLoader.load("./textures/04_earthcloudmap.jpg"),
-    transparent: true,
-    opacity: 0.7,
-    alphaMap: textureLoader.load('./textures/05_earthcloudmaptrans.jpg'),
-  });
+  function getFallbackTexture(fallback) {
+    return new THREE.CanvasTexture(getFallbackCanvas(fallback));
+  }
   
-  const cloudsMesh = new THREE.Mesh(earthGeometry, cloudsMat);
-  cloudsMesh.scale.setScalar(1.003);
-  earthGroup.add(cloudsMesh);
-  
-  // 地球大气层光晕
-  const earthGlowMesh = new THREE.Mesh(
-    earthGeometry, 
-    getFresnelMat(new THREE.Color(0x6699ff))
-  );
-  earthGlowMesh.scale.setScalar(1.01);
-  earthGroup.add(earthGlowMesh);
-  
-  // 地球位置
-  earthSystem.position.set(AU_SCALE * EARTH_AU, 0, 0);
-  
-  // ============== 月球 ==============
-  const moonSystem = new THREE.Group();
-  earthSystem.add(moonSystem);
-  
-  const moonGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * MOON_RADIUS_RATIO, 8);
-  const moonMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/moonmapthumb.jpg"),
-    bumpMap: textureLoader.load("./textures/moonbumpthumb2.jpg"),
-    bumpScale: 0.02,
-    transparent: false // 确保不透明
-  });
+  /**
+   * 计算天体在指定时刻相对于中心天体的公转位置（中心天体系统组的局部坐标）
+   * @param {Object} entry - 天体各部分的引用，见createBody
+   * @param {Number} days - 自J2000历元起的天数
+   * @param {THREE.Vector3} target - 用于写入结果的向量
+   * @returns {THREE.Vector3} 场景单位的位置
+   */
+  function computeOrbitPosition(entry, days, target) {
+    const { body } = entry;
+    getHeliocentricPosition(body.orbit, days, target);
+    if (body.orbit.units !== 'km') {
+      // 日心距离按当前尺度模式的分段节点换算
+      const r = target.length();
+      return r > 0 ? target.multiplyScalar(mapDistance(r, scaleUniforms.knotDistances.value) / r) : target;
+    }
+    
+    // 以中心天体赤道面为参考的卫星轨道，转换到中心天体当前的赤道朝向
+    // 中心天体逆向自转时，卫星根数以其自转正极为参考
+    const parent = bodies[body.parent];
+    if (body.orbit.frame === 'equator') {
+      _orbitFrame.copy(parent.equator.quaternion);
+      if (parent.body.rotation.Wdot < 0) {
+        _orbitFrame.multiply(FLIP_POLE);
+      }
+      target.applyQuaternion(_orbitFrame);
+    }
+    
+    // 卫星距离以中心天体半径计，按尺度模式在行星环以外压缩或等间距排列，保持卫星之间的先后次序
+    const parentRadiusKm = parent.body.radiusRatio * EARTH_RADIUS_KM;
+    const distance = target.length() / parentRadiusKm;
+    const semiMajorAxis = body.orbit.a / parentRadiusKm;
+    const knee = Math.max(1, ...(parent.body.rings || []).map((ring) => ring.outer));
+    const from = getSatelliteDistance(scaleState.from, distance, semiMajorAxis, knee, entry.satelliteRank);
+    const to = getSatelliteDistance(scaleState.to, distance, semiMajorAxis, knee, entry.satelliteRank);
+    return target.setLength(parent.radius * THREE.MathUtils.lerp(from, to, scaleState.blend));
+  }
   
-  const moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
-  moonSystem.add(moonMesh);
-  
-  const moonGlowMesh = new THREE.Mesh(
-    moonGeometry, 
-    getFresnelMat(new THREE.Color(0x888888))
-  );
-  moonGlowMesh.scale.setScalar(1.01);
-  moonSystem.add(moonGlowMesh);
-  
-  // 月球轨道距离（相对地球）- 实际约为地球-月球距离为地球半径的60倍
-  moonSystem.position.set(EARTH_RADIUS * 2.5, 0, 0);
-  
-  // ============== 火星 ==============
-  // 按照真实比例：火星直径约为地球的0.53倍，距离太阳约1.52AU
-  const marsSystem = new THREE.Group();
-  solarSystem.add(marsSystem);
-  
-  const marsGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * MARS_RADIUS_RATIO, 8);
-  const marsMaterial = new THREE.MeshStandardMaterial({
-    map: textureLoader.load("./textures/mars/mars_thumbnail.jpg"),
-    normalMap: textureLoader.load("./textures/mars/mars_normal_thumbnail.jpg"),
-    normalScale: new THREE.Vector2(0.8, 0.8),
-    metalnessMap: textureLoader.load("./textures/mars/mars_topo_thumbnail.jpg"),
-    metalness: 0.3,
-    roughness: 0.7,
-    transparent: false // 确保不透明
-  });
+  /**
+   * 计算天体在指定时刻的公转位置，写入其系统组
+   * @param {Object} entry - 天体各部分的引用，见createBody
+   * @param {Number} days - 自J2000历元起的天数
+   */
+  function updateOrbitPosition(entry, days) {
+    computeOrbitPosition(entry, days, entry.system.position);
+  }
   
-  const marsMesh = new THREE.Mesh(marsGeometry, marsMaterial);
-  marsSystem.add(marsMesh);
-  
-  // 火星周围的淡红色光晕，模拟尘埃层
-  const marsGlowMesh = new THREE.Mesh(
-    marsGeometry, 
-    getFresnelMat(new THREE.Color(0xaa5533))
-  );
-  marsGlowMesh.scale.setScalar(1.01);
-  marsSystem.add(marsGlowMesh);
-  
-  // 火星的轨道距离
-  marsSystem.position.set(AU_SCALE * MARS_AU, 0, 0);
-  
-  // ============== 木星 ==============
-  // 按照真实比例：木星直径约为地球的11倍，距离太阳约5.2AU
-  const jupiterSystem = new THREE.Group();
-  solarSystem.add(jupiterSystem);
-  
-  const jupiterGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * JUPITER_RADIUS_RATIO, 10);
-  const jupiterMaterial = new THREE.MeshStandardMaterial({
-    map: textureLoader.load("./textures/jupiter/jupitermapthumb.jpg"),
-    bumpScale: 0.02,
-    emissive: new THREE.Color(0x553311),
-    emissiveIntensity: 0.35,
-    roughness: 0.7,
-    metalness: 0.3,
-    transparent: false // 确保不透明
-  });
+  /**
+   * 根据目录条目创建材质，字符串参数视为贴图路径
+   * @param {Object} definition - 目录中的材质定义
+   * @returns {THREE.Material} 天体材质
+   */
+  function createMaterial(definition) {
+    const { type, normalScale, fallback, ...params } = definition;
+    for (const key of Object.keys(params)) {
+      if (typeof params[key] === 'string') {
+        params[key] = loadMap(key, params[key], fallback);
+      }
+    }
+    // 没有图片贴图的天体（如各卫星）直接使用程序化贴图
+    if (fallback && params.map === undefined) {
+      params.map = getFallbackTexture(fallback);
+    }
+    if (normalScale !== undefined) {
+      params.normalScale = new THREE.Vector2(normalScale, normalScale);
+    }
+    if (type === 'earth') {
+      return getEarthMaterial(params);
+    }
+    const MaterialClass = type === 'standard' ? THREE.MeshStandardMaterial : THREE.MeshPhongMaterial;
+    return new MaterialClass(params);
+  }
   
-  const jupiterMesh = new THREE.Mesh(jupiterGeometry, jupiterMaterial);
-  jupiterSystem.add(jupiterMesh);
-  
-  // 木星光晕 - 增强光晕效果
-  const jupiterGlowMesh = new THREE.Mesh(
-    jupiterGeometry, 
-    getFresnelMat({rimHex: 0xffcc88, facingHex: 0x331100})
-  );
-  jupiterGlowMesh.scale.setScalar(1.03);
-  jupiterSystem.add(jupiterGlowMesh);
-  
-  // 木星的轨道距离
-  jupiterSystem.position.set(AU_SCALE * JUPITER_AU, 0, 0);
-  
-  // ============== 土星 ==============
-  // 按照真实比例：土星直径约为地球的9.5倍，距离太阳约9.6AU
-  const saturnSystem = new THREE.Group();
-  solarSystem.add(saturnSystem);
-  
-  const saturnGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * SATURN_RADIUS_RATIO, 10);
-  const saturnMaterial = new THREE.MeshStandardMaterial({
-    map: textureLoader.load("./textures/saturn/saturnmapthumb.jpg"),
-    bumpScale: 0.02,
-    emissive: new THREE.Color(0x554422),
-    emissiveIntensity: 0.35,
-    roughness: 0.7,
-    metalness: 0.3,
-    transparent: false // 确保不透明
-  });
+  /**
+   * 根据目录条目创建一个天体及其附属的光晕、大气层和行星环
+   * @param {Object} body - 天体目录条目
+   * @param {THREE.Object3D} parentGroup - 父级组，公转位置相对于它
+   * @returns {Object} 天体各部分的引用
+   */
+  function createBody(body, parentGroup) {
+    const radius = getModeRadius(initialMode, body);
+    
+    // 天体系统组，负责公转位置
+    const system = new THREE.Group();
+    system.name = `${body.name}System`;
+    parentGroup.add(system);
+    
+    // 赤道组：按IAU自转根数确定自转轴朝向，局部+y轴为北极，xz平面为赤道面
+    // 天体表面、云层与行星环都在其中，切换尺度模式时整体缩放
+    const equator = new THREE.Group();
+    system.add(equator);
+    
+    // 自转组：表面和光晕一起绕极轴自转
+    const spin = new THREE.Group();
+    equator.add(spin);
+    
+    const geometry = new THREE.IcosahedronGeometry(radius, getDetail(body.detail));
+    const mesh = new THREE.Mesh(geometry, createMaterial(body.material));
+    // 非球形天体：天体坐标系的(x, y, z)轴对应网格的(-x, z, y)轴
+    if (body.shape) {
+      mesh.scale.set(body.shape[0], body.shape[2], body.shape[1]);
+    }
+    spin.add(mesh);
+    
+    // 从天体指向太阳的单位向量（世界坐标），每帧更新
+    const sunDirection = new THREE.Vector3(1, 0, 0);
+    
+    // 大气光晕：除网格尺寸与是否随太阳方向变化外，其余参数直接交给菲涅尔材质
+    let glowMesh = null;
+    if (body.glow) {
+      const { size = 1.01, sunLit = true, ...fresnel } = body.glow;
+      glowMesh = new THREE.Mesh(
+        geometry,
+        getFresnelMat({ ...fresnel, sunDirection: sunLit ? sunDirection : null })
+      );
+      glowMesh.scale.setScalar(size);
+      spin.add(glowMesh);
+    }
+    
+    // 大气散射层：以行星半径为单位的球壳，放在赤道组中，不随表面自转
+    let atmosphereMesh = null;
+    if (body.atmosphere) {
+      const thickness = body.atmosphere.thickness;
+      atmosphereMesh = new THREE.Mesh(
+        new THREE.SphereGeometry(1 + thickness, 64, 32),
+        getAtmosphereMat(body.atmosphere)
+      );
+      atmosphereMesh.scale.setScalar(radius);
+      equator.add(atmosphereMesh);
+    }
+    
+    // 行星环，位于赤道面内
+    const rings = (body.rings || []).map((ring) => {
+      const ringGeometry = createRingGeometry(radius * ring.inner, radius * ring.outer, ring.segments);
+      const ringMaterial = createMaterial({
+        transparent: true,
+        side: THREE.DoubleSide,
+        ...ring.material
+      });
+      const ringMesh = new THREE.Mesh(ringGeometry, ringMaterial);
+      equator.add(ringMesh);
+      return ringMesh;
+    });
+    
+    // 彗发与彗尾，挂在系统组上，不随彗核自转
+    let comet = null;
+    if (body.comet) {
+      comet = createComet(body.comet);
+      system.add(comet.group);
+    }
+    
+    // 初始轨道位置与朝向取J2000历元
+    getPoleOrientation(body.rotation, 0, equator.quaternion);
+    spin.rotation.y = getPrimeMeridianAngle(body.rotation, 0);
+    
+    const entry = {
+      body,
+      radius,
+      baseRadius: radius,
+      system,
+      equator,
+      scaleGroup: equator,
+      spin,
+      mesh,
+      glowMesh,
+      atmosphereMesh,
+      rings,
+      comet,
+      sunDirection,
+      // 向该天体投影的天体，以及天体表面与各行星环的投影uniform，在全部天体创建后设置
+      shadowCasters: [],
+      eclipseUniforms: null,
+      ringEclipseUniforms: [],
+      label: null,
+      satelliteRank: 0
+    };
+    if (body.orbit) {
+      updateOrbitPosition(entry, 0);
+    }
+    
+    // 需要太阳方向的材质共用天体的sunDirection向量
+    system.traverse((object) => {
+      const uniforms = object.material && object.material.uniforms;
+      if (uniforms && uniforms.sunDirection) {
+        uniforms.sunDirection.value = entry.sunDirection;
+      }
+    });
+    return entry;
+  }
+  
+  // 火星与木星轨道之间的小行星主带
+  const asteroidBelt = config.asteroidBelt
+    ? createAsteroidBelt({ count: config.asteroidCount, scaleUniforms })
+    : null;
+  if (asteroidBelt) {
+    solarSystem.add(asteroidBelt.mesh);
+  }
   
-  const saturnMesh = new THREE.Mesh(saturnGeometry, saturnMaterial);
-  saturnSystem.add(saturnMesh);
+  // 海王星轨道以外的柯伊伯带与离散盘
+  const kuiperBelt = config.kuiperBelt
+    ? createKuiperBelt({ count: config.kuiperCount, scaleUniforms })
+    : null;
+  if (kuiperBelt) {
+    solarSystem.add(kuiperBelt.points);
+  }
   
-  // 土星环 - 增强发光效果
-  const saturnRingGeometry = createRingGeometry(EARTH_RADIUS * SATURN_RADIUS_RATIO * 1.2, EARTH_RADIUS * SATURN_RADIUS_RATIO * 2.2, 160);
-  const saturnRingMaterial = new THREE.MeshStandardMaterial({
-    map: textureLoader.load("./textures/saturn/saturnringcolorthumb.jpg"),
+  // 添加太阳表面耀斑环
+  const solarFlareRingMaterial = config.flareRings ? createSolarFlareRings(sunGroup, sunRadius) : null;
+  
+  // 添加太阳大气光晕效果
+  const sunAtmosphereGeometry = new THREE.SphereGeometry(sunRadius * 1.2, 32, 32);
+  const sunAtmosphereMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      time: { value: 0.0 },
+      baseColor: { value: new THREE.Color(0xffaa33) },
+      glowColor: { value: new THREE.Color(0xff5500) },
+    },
+    vertexShader: `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
+      varying vec3 vNormal;
+      varying vec3 vWorldPosition;
+      
+      void main() {
+        vNormal = normalize(normalMatrix * normal);
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        #include <logdepthbuf_vertex>
+      }
+    `,
+    fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
+      uniform vec3 baseColor;
+      uniform vec3 glowColor;
+      uniform float time;
+      
+      varying vec3 vNormal;
+      varying vec3 vWorldPosition;
+      
+      void main() {
+        #include <logdepthbuf_fragment>
+        // 计算视角方向
+        vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+        
+        // 获取法线和视角方向之间的点积
+        float rimEffect = 1.0 - dot(vNormal, viewDir);
+        
+        // 应用圆形功率函数使边缘更加明显
+        rimEffect = pow(rimEffect, 2.0);
+        
+        // 添加时间变化的噪声
+        float noise = sin(time * 2.0 + vWorldPosition.x * 0.1) * 
+                     cos(time * 1.5 + vWorldPosition.y * 0.1) * 
+                     sin(time + vWorldPosition.z * 0.1);
+        
+        // 扰动边缘效果
+        rimEffect += noise * 0.1;
+        
+        // 计算最终颜色
+        vec3 finalColor = mix(baseColor, glowColor, rimEffect);
+        
+        // 设置透明度基于边缘效果
+        float alpha = rimEffect * 0.8;
+        
+        gl_FragColor = vec4(finalColor, alpha);
+      }
+    `,
     transparent: true,
-    alphaMap: textureLoader.load("./textures/saturn/saturnringpatternthumb.gif"),
-    side: THREE.DoubleSide,
-    emissive: new THREE.Color(0xddccaa), // 增强自发光颜色
-    emissiveIntensity: 0.6, // 增加自发光强度
-    opacity: 0.95 // 增加不透明度
+    blending: THREE.AdditiveBlending,
+    side: THREE.BackSide,
+    depthWrite: false
   });
+
+  const sunAtmosphere = new THREE.Mesh(sunAtmosphereGeometry, sunAtmosphereMaterial);
+  sunGroup.add(sunAtmosphere);
   
-  const saturnRingMesh = new THREE.Mesh(saturnRingGeometry, saturnRingMaterial);
-  saturnRingMesh.rotation.x = Math.PI / 2 + Math.PI / 6; // 倾斜30度 (Math.PI/6 = 30度)
-  saturnSystem.add(saturnRingMesh);
-  
-  // 土星光晕
-  const saturnGlowMesh = new THREE.Mesh(
-    saturnGeometry, 
-    getFresnelMat(new THREE.Color(0xddcc99))
-  );
-  saturnGlowMesh.scale.setScalar(1.01);
-  saturnSystem.add(saturnGlowMesh);
-  
-  // 土星的轨道距离
-  saturnSystem.position.set(AU_SCALE * SATURN_AU, 0, 0);
-  
-  // ============== 天王星 ==============
-  // 按照真实比例：天王星直径约为地球的4倍，距离太阳约19.2AU
-  const uranusSystem = new THREE.Group();
-  solarSystem.add(uranusSystem);
-  
-  const uranusGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * URANUS_RADIUS_RATIO, 8);
-  const uranusMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/uranus/uranusmapthumb.jpg"),
-    bumpScale: 0.02,
-    color: 0xc0ffff, // 增加青绿色调
-    transparent: false // 确保不透明
-  });
+  // 添加太阳喷发粒子效果
+  const sunEruptionSystem = config.eruptions ? createSunEruption(sunGroup, sunRadius) : null;
+  
+  // 标签基本大小：地球（半径为EARTH_RADIUS）的标签为100x25
+  const LABEL_BASE_SIZE = 50;
+  
+  /**
+   * 按天体半径计算标签大小比例 - 进行非线性缩放以避免过大或过小
+   * @param {Number} planetRadius - 天体半径
+   * @returns {Number} 相对地球标签的比例
+   */
+  function getLabelSizeRatio(planetRadius) {
+    // 开平方根使缩放更合理，并限制最小比例，保证小卫星的标签可读
+    return Math.max(Math.pow(planetRadius / EARTH_RADIUS, 0.5), 0.3);
+  }
   
-  const uranusMesh = new THREE.Mesh(uranusGeometry, uranusMaterial);
-  uranusSystem.add(uranusMesh);
+  // 创建行星标签的通用函数
+  function createPlanetLabel(name, chineseName, planetSystem, planetRadius) {
+    // 创建一个绘图画布
+    const canvas = document.createElement('canvas');
+    canvas.width = 512; // 增加画布宽度，从256到512
+    canvas.height = 128;
+    const context = canvas.getContext('2d');
+    
+    // 计算字体大小
+    const fontSize = Math.max(30, Math.min(60, 40 * getLabelSizeRatio(planetRadius)));
+    
+    // 设置文本样式
+    context.font = `bold ${fontSize}px Arial`;
+    context.fillStyle = 'white';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    
+    // 绘制文本
+    const labelText = `${name}(${chineseName})`;
+    context.fillText(labelText, 256, 64); // x坐标改为画布中心
+    
+    // 创建纹理
+    const texture = new THREE.CanvasTexture(canvas);
+    
+    // 创建材质
+    const labelMaterial = new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      depthTest: false
+    });
+    
+    // 创建精灵
+    const label = new THREE.Sprite(labelMaterial);
+    layoutLabel(label, planetRadius);
+    
+    // 添加到行星系统
+    planetSystem.add(label);
+    
+    return label;
+  }
   
-  // 天王星环
-  const uranusRingGeometry = createRingGeometry(EARTH_RADIUS * URANUS_RADIUS_RATIO * 1.4, EARTH_RADIUS * URANUS_RADIUS_RATIO * 2.2, 100);
-  const uranusRingMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/uranus/uranusringcolour.jpg"),
-    transparent: true,
-    alphaMap: textureLoader.load("./textures/uranus/uranusringtrans.jpg"),
-    side: THREE.DoubleSide,
-    emissive: new THREE.Color(0xaaffff), // 添加自发光，青色
-    emissiveIntensity: 0.4, // 增加亮度
-    opacity: 0.9 // 增加不透明度
-  });
+  /**
+   * 按天体当前半径与尺度模式的标签倍率设置标签大小和位置
+   * @param {THREE.Sprite} label - 标签精灵
+   * @param {Number} planetRadius - 天体当前半径
+   */
+  function layoutLabel(label, planetRadius) {
+    const labelScale = THREE.MathUtils.lerp(scaleState.from.labelScale, scaleState.to.labelScale, scaleState.blend);
+    const sizeRatio = getLabelSizeRatio(planetRadius) * labelScale;
+    const labelWidth = LABEL_BASE_SIZE * sizeRatio * 2; // 增加标签宽度
+    const labelHeight = 25 * sizeRatio;
+    
+    // 计算标签位置 - 大行星标签放置更高
+    const labelYOffset = Math.max(planetRadius * 2.5, labelHeight * 0.6); // 增加垂直偏移，小天体至少高出半个标签
+    label.position.set(0, labelYOffset, 0);
+    
+    // 设置标签大小
+    label.scale.set(labelWidth, labelHeight, 1);
+  }
   
-  const uranusRingMesh = new THREE.Mesh(uranusRingGeometry, uranusRingMaterial);
-  uranusRingMesh.rotation.x = Math.PI / 1.2; // 天王星环几乎垂直于轨道平面
-  uranusSystem.add(uranusRingMesh);
-  
-  // 天王星光晕
-  const uranusGlowMesh = new THREE.Mesh(
-    uranusGeometry, 
-    getFresnelMat(new THREE.Color(0x00ffcc))
-  );
-  uranusGlowMesh.scale.setScalar(1.01);
-  uranusSystem.add(uranusGlowMesh);
-  
-  // 天王星的轨道距离
-  uranusSystem.position.set(AU_SCALE * URANUS_AU, 0, 0);
-  
-  // ============== 海王星 ==============
-  // 按照真实比例：海王星直径约为地球的3.9倍，距离太阳约30AU
-  const neptuneSystem = new THREE.Group();
-  solarSystem.add(neptuneSystem);
-  
-  const neptuneGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * NEPTUNE_RADIUS_RATIO, 8);
-  const neptuneMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/neptune/neptunemapthumb.jpg"),
-    bumpScale: 0.02,
-    color: 0x4444ff, // 增加蓝色调
-    transparent: false // 确保不透明
-  });
+  // 为每个天体添加标签
+  if (config.labels) {
+    for (const entry of Object.values(bodies)) {
+      entry.label = createPlanetLabel(entry.body.label, entry.body.chineseName, entry.system, entry.radius);
+    }
+  }
   
-  const neptuneMesh = new THREE.Mesh(neptuneGeometry, neptuneMaterial);
-  neptuneSystem.add(neptuneMesh);
-  
-  // 海王星光晕
-  const neptuneGlowMesh = new THREE.Mesh(
-    neptuneGeometry, 
-    getFresnelMat(new THREE.Color(0x0099ff))
-  );
-  neptuneGlowMesh.scale.setScalar(1.01);
-  neptuneSystem.add(neptuneGlowMesh);
-  
-  // 海王星的轨道距离
-  neptuneSystem.position.set(AU_SCALE * NEPTUNE_AU, 0, 0);
-  
-  // ============== 冥王星 ==============
-  // 按照真实比例：冥王星直径约为地球的0.18倍，距离太阳约39.5AU
-  const plutoSystem = new THREE.Group();
-  solarSystem.add(plutoSystem);
-  
-  const plutoGeometry = new THREE.IcosahedronGeometry(EARTH_RADIUS * PLUTO_RADIUS_RATIO, 7);
-  const plutoMaterial = new THREE.MeshPhongMaterial({
-    map: textureLoader.load("./textures/pluto/plutomapthumb.jpg"),
-    bumpMap: textureLoader.load("./textures/pluto/plutobumpthumb.jpg"),
-    bumpScale: 0.04,
-    transparent: false // 确保不透明
-  });
+  /**
+   * 推进尺度模式的过渡：插值距离节点与天体半径，并缩放天体网格和标签
+   * @param {Number} dt - 距上一帧的真实时间（秒）
+   */
+  function updateScale(dt) {
+    if (scaleState.progress >= 1) return;
+    scaleState.progress = config.scaleTransition > 0 ? Math.min(1, scaleState.progress + dt / config.scaleTransition) : 1;
+    applyScale();
+  }
   
-  const plutoMesh = new THREE.Mesh(plutoGeometry, plutoMaterial);
-  plutoSystem.add(plutoMesh);
+  // 按当前过渡进度设置距离节点、天体半径与标签
+  function applyScale() {
+    // 缓入缓出
+    const t = scaleState.progress;
+    scaleState.blend = t * t * (3 - 2 * t);
+    scaleState.revision++;
+    
+    const { from, to, blend } = scaleState;
+    const knotDistances = scaleUniforms.knotDistances.value;
+    for (let k = 0; k < knotDistances.length; k++) {
+      knotDistances[k] = THREE.MathUtils.lerp(from.distances[k], to.distances[k], blend);
+    }
+    
+    for (const entry of Object.values(bodies)) {
+      entry.radius = THREE.MathUtils.lerp(getModeRadius(from, entry.body), getModeRadius(to, entry.body), blend);
+      entry.scaleGroup.scale.setScalar(entry.radius / entry.baseRadius);
+      if (entry.label) {
+        layoutLabel(entry.label, entry.radius);
+      }
+    }
+  }
+  
+  /**
+   * 推进太阳系动画
+   * @param {Date|Number} simTime - 模拟时刻（日期对象或毫秒时间戳），决定公转位置与自转角
+   * @param {Number} dt - 距上一帧的真实时间（秒），用于太阳表面等视觉特效
+   */
+  function update(simTime, dt = 0) {
+    const days = dateToJulianDay(simTime) - J2000_JULIAN_DAY;
+    
+    // 尺度模式过渡，需在计算公转位置之前完成
+    updateScale(dt);
+    const au = mapDistance(1, scaleUniforms.knotDistances.value);
+    sunLight.intensity = SUN_IRRADIANCE * au * au;
+    
+    // 太阳着色器、耀斑环与大气光晕的时间参数
+    sunShaderMaterial.uniforms.time.value += dt;
+    sunAtmosphereMaterial.uniforms.time.value += dt;
+    if (solarFlareRingMaterial) {
+      solarFlareRingMaterial.uniforms.time.value += dt;
+    }
+    
+    // 太阳喷发粒子
+    if (sunEruptionSystem) {
+      sunEruptionSystem.update(dt);
+    }
+    
+    // 各天体的自转与公转
+    sunGroup.getWorldPosition(_sunPosition);
+    for (const entry of Object.values(bodies)) {
+      const { body } = entry;
+      
+      // 自转：由IAU自转根数得到极轴朝向与本初子午线角度，逆向自转的天体W随时间减小
+      getPoleOrientation(body.rotation, days, entry.equator.quaternion);
+      const rotation = getPrimeMeridianAngle(body.rotation, days);
+      entry.spin.rotation.y = rotation;
+      if (body.clouds) {
+        // 云层比地表转得稍快，按速度比例换算出多转过的角度
+        const cloudDrift = (days * body.rotation.Wdot * (body.clouds.speed - 1)) % 360;
+        entry.mesh.material.uniforms.cloudRotation.value = cloudDrift * Math.PI / 180;
+      }
+      
+      // 行星环也稍微旋转
+      entry.rings.forEach((ringMesh, i) => {
+        ringMesh.rotation.y = days * body.rings[i].drift;
+      });
+      
+      // 公转，由目录中的J2000轨道根数及其长期变化率计算
+      // 卫星在中心天体之后更新，使用其当前的赤道朝向
+      if (body.orbit) {
+        updateOrbitPosition(entry, days);
+      }
+      
+      // 太阳方向，供按太阳方向着色的材质使用；光晕与大气散射按当地的太阳照度变暗，与天体表面一致
+      if (entry.sunDirection) {
+        entry.system.getWorldPosition(_bodyPosition);
+        entry.sunDirection.subVectors(_sunPosition, _bodyPosition).normalize();
+        const irradiance = getSunIrradiance(_bodyPosition);
+        if (entry.glowMesh) {
+          entry.glowMesh.material.uniforms.fresnelIntensity.value = irradiance;
+        }
+        if (entry.atmosphereMesh) {
+          entry.atmosphereMesh.material.uniforms.sunIrradiance.value = irradiance;
+        }
+        if (entry.mesh.material.uniforms && entry.mesh.material.uniforms.sunIrradiance) {
+          entry.mesh.material.uniforms.sunIrradiance.value = irradiance;
+        }
+      }
+      
+      // 彗尾指向背日方向，尘埃尾沿运动方向的反方向弯曲
+      if (entry.comet) {
+        getHeliocentricPosition(body.orbit, days, _cometPosition);
+        getHeliocentricPosition(body.orbit, days + VELOCITY_STEP_DAYS, _cometVelocity).sub(
+          getHeliocentricPosition(body.orbit, days - VELOCITY_STEP_DAYS, _cometPrevious)
+        );
+        // 彗星附近1AU对应的场景单位
+        const r = _cometPosition.length();
+        const auScale = mapDistance(r, scaleUniforms.knotDistances.value) / r;
+        entry.comet.update(dt, _cometPosition, _cometVelocity, auScale);
+      }
+    }
+    
+    // 投影跟随天体的当前位置
+    updateEclipseShadows();
+    
+    // 小行星主带与柯伊伯带的公转在着色器中计算
+    // 浮动原点把太阳系根组移到原点的相反数处，粒子带网格放回原点，由着色器减去原点
+    scaleUniforms.sceneOrigin.value.copy(solarSystem.position).negate();
+    if (asteroidBelt) {
+      asteroidBelt.mesh.position.copy(scaleUniforms.sceneOrigin.value);
+      asteroidBelt.update(days);
+    }
+    if (kuiperBelt) {
+      kuiperBelt.points.position.copy(scaleUniforms.sceneOrigin.value);
+      kuiperBelt.update(days);
+    }
+    
+    // 太阳内核层同步旋转，辉光层稍慢
+    sunCoreMesh.rotation.y = sunMesh.rotation.y;
+    sunGlowMesh.rotation.y = sunMesh.rotation.y * 0.6;
+  }
   
-  // 冥王星光晕
-  const plutoGlowMesh = new THREE.Mesh(
-    plutoGeometry, 
-    getFresnelMat(new THREE.Color(0x777788))
-  );
-  plutoGlowMesh.scale.setScalar(1.01);
-  plutoSystem.add(plutoGlowMesh);
+  /**
+   * 按名称获取天体的各部分引用
+   * @param {String} name - 天体名称，见bodyCatalog.js
+   * @returns {Object|undefined} 包含system、spin、mesh、glowMesh、atmosphereMesh、rings等引用
+   */
+  function getBody(name) {
+    return bodies[name];
+  }
   
-  // 冥王星的轨道距离
-  plutoSystem.position.set(AU_SCALE * PLUTO_AU, 0, 0);
+  /**
+   * 获取已创建的全部天体名称，按目录顺序排列（卫星紧跟在中心天体之后）
+   * @returns {String[]} 天体名称
+   */
+  function getBodyNames() {
+    return Object.keys(bodies);
+  }
   
-  // 添加太阳表面耀斑环
-  const solarFlareRingGeometry = new THREE.TorusGeometry(140 * 1.5, 15 * 1.5, 20, 100);
+  /**
+   * 计算天体在任意时刻的公转位置，与update移动系统组时使用同一套轨道模型
+   * 卫星轨道按中心天体当前的赤道朝向计算
+   * @param {String} name - 天体名称
+   * @param {Number} days - 自J2000历元起的天数
+   * @param {THREE.Vector3} target - 用于写入结果的向量，可选
+   * @returns {THREE.Vector3} 相对中心天体系统组（行星为太阳系根组）的位置
+   */
+  function getOrbitPosition(name, days, target = new THREE.Vector3()) {
+    return computeOrbitPosition(bodies[name], days, target);
+  }
+  
+  /**
+   * 获取天体中心的世界坐标
+   * @param {String} name - 天体名称
+   * @param {THREE.Vector3} target - 用于写入结果的向量，可选
+   * @returns {THREE.Vector3} 世界坐标
+   */
+  function getWorldPosition(name, target = new THREE.Vector3()) {
+    return bodies[name].system.getWorldPosition(target);
+  }
+  
+  /**
+   * 按太阳与各天体的当前位置和半径更新投影uniform，需在公转位置更新之后调用
+   */
+  function updateEclipseShadows() {
+    const sunRadius = bodies.sun.radius;
+    for (const entry of Object.values(bodies)) {
+      const uniforms = entry.eclipseUniforms;
+      if (uniforms) {
+        uniforms.sunSphere.value.set(_sunPosition.x, _sunPosition.y, _sunPosition.z, sunRadius);
+        entry.shadowCasters.forEach((caster, i) => {
+          caster.system.getWorldPosition(_casterPosition);
+          uniforms.shadowSpheres.value[i].set(_casterPosition.x, _casterPosition.y, _casterPosition.z, caster.radius);
+        });
+        uniforms.shadowSphereCount.value = entry.shadowCasters.length;
+        
+        // 行星环投向行星表面，只计算最主要的第一道环
+        if (entry.rings.length > 0) {
+          const ringMesh = entry.rings[0];
+          const ring = entry.body.rings[0];
+          ringMesh.updateWorldMatrix(true, false);
+          uniforms.ringInverseMatrix.value.copy(ringMesh.matrixWorld).invert();
+          uniforms.ringRadii.value.set(entry.baseRadius * ring.inner, entry.baseRadius * ring.outer);
+          uniforms.ringShadowOpacity.value = ringMesh.material.opacity;
+          if (ringMesh.material.alphaMap) {
+            uniforms.ringShadowMap.value = ringMesh.material.alphaMap;
+          }
+        }
+      }
+      
+      // 行星投向自己的环
+      if (entry.ringEclipseUniforms.length > 0) {
+        entry.system.getWorldPosition(_casterPosition);
+        for (const ringUniforms of entry.ringEclipseUniforms) {
+          ringUniforms.sunSphere.value.set(_sunPosition.x, _sunPosition.y, _sunPosition.z, sunRadius);
+          ringUniforms.shadowSpheres.value[0].set(_casterPosition.x, _casterPosition.y, _casterPosition.z, entry.radius);
+          ringUniforms.shadowSphereCount.value = 1;
+        }
+      }
+    }
+  }
+  
+  /**
+   * 计算某处的太阳照度，按当前尺度模式下的距离平方衰减
+   * @param {THREE.Vector3} position - 世界坐标
+   * @returns {Number} 相对照度，1AU处为1
+   */
+  function getSunIrradiance(position) {
+    const au = mapDistance(1, scaleUniforms.knotDistances.value);
+    const distance = Math.max(sunGroup.getWorldPosition(_sunPosition).distanceTo(position), bodies.sun.radius);
+    return (au / distance) * (au / distance);
+  }
+  
+  /**
+   * 切换尺度模式，天体距离、半径与标签在过渡时长内平滑变化
+   * @param {String} name - 尺度模式：true | compressed | schematic
+   * @param {Boolean} animate - 是否平滑过渡，为false时立即切换
+   */
+  function setScaleMode(name, animate = true) {
+    const mode = SCALE_MODES[name];
+    if (!mode || (name === scaleState.name && scaleState.progress >= 1)) return;
+    
+    if (name === scaleState.fromName && scaleState.progress < 1) {
+      // 过渡途中切回原模式：沿原路返回
+      scaleState.fromName = scaleState.name;
+      scaleState.from = scaleState.to;
+      scaleState.progress = 1 - scaleState.progress;
+    } else {
+      // 过渡途中切换到第三个模式时，从当前目标模式开始过渡
+      scaleState.fromName = scaleState.name;
+      scaleState.from = scaleState.to;
+      scaleState.progress = 0;
+    }
+    scaleState.name = name;
+    scaleState.to = mode;
+    if (!animate) {
+      scaleState.progress = 1;
+    }
+    applyScale();
+  }
+  
+  /**
+   * 获取当前（或正在过渡到的）尺度模式
+   * @returns {String} 尺度模式名称
+   */
+  function getScaleMode() {
+    return scaleState.name;
+  }
+  
+  /**
+   * 尺度模式是否正在过渡
+   * @returns {Boolean} 是否正在过渡
+   */
+  function isScaleTransitioning() {
+    return scaleState.progress < 1;
+  }
+  
+  /**
+   * 获取尺度版本号，距离或半径每变化一次加一，用于判断依赖轨道位置的缓存（如轨道线）是否需要更新
+   * @returns {Number} 版本号
+   */
+  function getScaleRevision() {
+    return scaleState.revision;
+  }
+  
+  /**
+   * 释放太阳系占用的所有几何体、材质与贴图，并将其从场景中移除
+   */
+  function dispose() {
+    const geometries = new Set();
+    const materials = new Set();
+    const textures = new Set();
+    
+    solarSystem.traverse((object) => {
+      // 精灵共享同一个内置几何体，不能释放
+      if (object.geometry && !object.isSprite) geometries.add(object.geometry);
+      if (object.material) {
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach((m) => materials.add(m));
+      }
+      if (object.isLight) object.dispose();
+    });
+    
+    // 收集材质属性与着色器uniform中的贴图
+    materials.forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) textures.add(value);
+      });
+      Object.values(material.uniforms || {}).forEach((uniform) => {
+        if (uniform.value && uniform.value.isTexture) textures.add(uniform.value);
+      });
+    });
+    
+    geometries.forEach((geometry) => geometry.dispose());
+    materials.forEach((material) => material.dispose());
+    textures.forEach((texture) => texture.dispose());
+    
+    solarSystem.removeFromParent();
+  }
+  
+  return {
+    solarSystem,
+    update,
+    getBody,
+    getBodyNames,
+    getWorldPosition,
+    getOrbitPosition,
+    getSunIrradiance,
+    setScaleMode,
+    getScaleMode,
+    isScaleTransitioning,
+    getScaleRevision,
+    dispose
+  };
+}
+
+/**
+ * 创建环绕太阳的两道耀斑环
+ * @param {THREE.Object3D} parent - 耀斑环挂载的父级组
+ * @param {Number} sunRadius - 太阳半径
+ * @returns {THREE.ShaderMaterial} 耀斑环材质，动画时需要更新其time参数
+ */
+function createSolarFlareRings(parent, sunRadius) {
+  const solarFlareRingGeometry = new THREE.TorusGeometry(sunRadius * 1.4, sunRadius * 0.15, 20, 100);
   const solarFlareRingMaterial = new THREE.ShaderMaterial({
     uniforms: {
       time: { value: 0.0 },
       color: { value: new THREE.Color(0xff3300) }
     },
     vertexShader: `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
       uniform float time;
       varying vec3 vPosition;
       
@@ -542,14 +1118,17 @@ function createSolarSystem(loadingManager = null, options = {}) {
         
         vPosition = pos;
         gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+        #include <logdepthbuf_vertex>
       }
     `,
     fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
       uniform vec3 color;
       uniform float time;
       varying vec3 vPosition;
       
       void main() {
+        #include <logdepthbuf_fragment>
         vec3 pos = vPosition;
         
         // 创建动态闪烁的耀斑，增强效果
@@ -574,78 +1153,24 @@ function createSolarSystem(loadingManager = null, options = {}) {
   // 随机旋转环，使其不完全对齐
   solarFlareRing.rotation.x = Math.PI / 4;
   solarFlareRing.rotation.y = Math.PI / 5;
-  solarSystem.add(solarFlareRing);
+  parent.add(solarFlareRing);
   
   // 添加第二个耀斑环，旋转方向不同
   const solarFlareRing2 = new THREE.Mesh(solarFlareRingGeometry, solarFlareRingMaterial);
   solarFlareRing2.rotation.x = Math.PI / 3;
   solarFlareRing2.rotation.z = Math.PI / 2;
-  solarSystem.add(solarFlareRing2);
+  parent.add(solarFlareRing2);
   
-  // 添加太阳大气光晕效果
-  const sunAtmosphereGeometry = new THREE.SphereGeometry(120 * 1.5, 32, 32);
-  const sunAtmosphereMaterial = new THREE.ShaderMaterial({
-    uniforms: {
-      time: { value: 0.0 },
-      baseColor: { value: new THREE.Color(0xffaa33) },
-      glowColor: { value: new THREE.Color(0xff5500) },
-    },
-    vertexShader: `
-      varying vec3 vNormal;
-      varying vec3 vWorldPosition;
-      
-      void main() {
-        vNormal = normalize(normalMatrix * normal);
-        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-        vWorldPosition = worldPosition.xyz;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform vec3 baseColor;
-      uniform vec3 glowColor;
-      uniform float time;
-      
-      varying vec3 vNormal;
-      varying vec3 vWorldPosition;
-      
-      void main() {
-        // 计算视角方向
-        vec3 viewDir = normalize(cameraPosition - vWorldPosition);
-        
-        // 获取法线和视角方向之间的点积
-        float rimEffect = 1.0 - dot(vNormal, viewDir);
-        
-        // 应用圆形功率函数使边缘更加明显
-        rimEffect = pow(rimEffect, 2.0);
-        
-        // 添加时间变化的噪声
-        float noise = sin(time * 2.0 + vWorldPosition.x * 0.1) * 
-                     cos(time * 1.5 + vWorldPosition.y * 0.1) * 
-                     sin(time + vWorldPosition.z * 0.1);
-        
-        // 扰动边缘效果
-        rimEffect += noise * 0.1;
-        
-        // 计算最终颜色
-        vec3 finalColor = mix(baseColor, glowColor, rimEffect);
-        
-        // 设置透明度基于边缘效果
-        float alpha = rimEffect * 0.8;
-        
-        gl_FragColor = vec4(finalColor, alpha);
-      }
-    `,
-    transparent: true,
-    blending: THREE.AdditiveBlending,
-    side: THREE.BackSide,
-    depthWrite: false
-  });
+  return solarFlareRingMaterial;
+}
 
-  const sunAtmosphere = new THREE.Mesh(sunAtmosphereGeometry, sunAtmosphereMaterial);
-  solarSystem.add(sunAtmosphere);
-  
-  // 添加太阳喷发粒子效果
+/**
+ * 创建太阳喷发粒子系统
+ * @param {THREE.Object3D} parent - 粒子系统挂载的父级组
+ * @param {Number} sunRadius - 太阳半径
+ * @returns {Object} 包含update(delta)方法的粒子系统对象
+ */
+function createSunEruption(parent, sunRadius) {
   const sunEruptionGeometry = new THREE.BufferGeometry();
   const particleCount = 150;
   const positions = new Float32Array(particleCount * 3);
@@ -659,7 +1184,7 @@ function createSolarSystem(loadingManager = null, options = {}) {
     // 将粒子放置在太阳表面
     const theta = Math.random() * Math.PI * 2;
     const phi = Math.acos(2 * Math.random() - 1);
-    const radius = 100; // 太阳半径
+    const radius = sunRadius / 1.5; // 从太阳内部喷出
     
     positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
     positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
@@ -695,6 +1220,8 @@ function createSolarSystem(loadingManager = null, options = {}) {
       time: { value: 0.0 }
     },
     vertexShader: `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
       attribute float size;
       attribute vec3 color;
       varying vec3 vColor;
@@ -704,12 +1231,15 @@ function createSolarSystem(loadingManager = null, options = {}) {
         vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
         gl_PointSize = size * (200.0 / -mvPosition.z);
         gl_Position = projectionMatrix * mvPosition;
+        #include <logdepthbuf_vertex>
       }
     `,
     fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
       varying vec3 vColor;
       
       void main() {
+        #include <logdepthbuf_fragment>
         // 创建圆形点
         float r = distance(gl_PointCoord, vec2(0.5, 0.5));
         if (r > 0.5) discard;
@@ -727,7 +1257,7 @@ function createSolarSystem(loadingManager = null, options = {}) {
 
   // 创建粒子系统
   const sunEruptionParticles = new THREE.Points(sunEruptionGeometry, sunEruptionMaterial);
-  solarSystem.add(sunEruptionParticles);
+  parent.add(sunEruptionParticles);
 
   // 创建用于更新的对象
   const sunEruptionSystem = {
@@ -747,7 +1277,7 @@ function createSolarSystem(loadingManager = null, options = {}) {
           // 重置粒子
           const theta = Math.random() * Math.PI * 2;
           const phi = Math.acos(2 * Math.random() - 1);
-          const radius = 100; // 太阳半径
+          const radius = sunRadius / 1.5; // 从太阳内部喷出
           
           this.positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
           this.positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
@@ -782,129 +1312,7 @@ function createSolarSystem(loadingManager = null, options = {}) {
     }
   };
   
-  // 创建行星标签的通用函数
-  function createPlanetLabel(name, chineseName, planetSystem, planetRadius) {
-    // 创建一个绘图画布
-    const canvas = document.createElement('canvas');
-    canvas.width = 512; // 增加画布宽度，从256到512
-    canvas.height = 128;
-    const context = canvas.getContext('2d');
-    
-    // 计算标签大小比例 - 基于行星半径，但进行非线性缩放以避免过大或过小
-    // 地球为基准(半径=10)，标签基本大小为50x25
-    const BASE_SIZE = 50;
-    const sizeRatio = Math.pow(planetRadius / EARTH_RADIUS, 0.5); // 开平方根使缩放更合理
-    const labelWidth = BASE_SIZE * sizeRatio * 2; // 增加标签宽度
-    const labelHeight = 25 * sizeRatio;
-    
-    // 计算字体大小
-    const fontSize = Math.max(30, Math.min(60, 40 * sizeRatio));
-    
-    // 设置文本样式
-    context.font = `bold ${fontSize}px Arial`;
-    context.fillStyle = 'white';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    
-    // 绘制文本
-    const labelText = `${name}(${chineseName})`;
-    context.fillText(labelText, 256, 64); // x坐标改为画布中心
-    
-    // 创建纹理
-    const texture = new THREE.CanvasTexture(canvas);
-    
-    // 创建材质
-    const labelMaterial = new THREE.SpriteMaterial({
-      map: texture,
-      transparent: true,
-      depthTest: false
-    });
-    
-    // 创建精灵
-    const label = new THREE.Sprite(labelMaterial);
-    
-    // 计算标签位置 - 大行星标签放置更高
-    const labelYOffset = planetRadius * 2.5; // 增加垂直偏移
-    label.position.set(0, labelYOffset, 0);
-    
-    // 设置标签大小
-    label.scale.set(labelWidth, labelHeight, 1);
-    
-    // 添加到行星系统
-    planetSystem.add(label);
-    
-    return label;
-  }
-  
-  // 为太阳添加标签
-  createPlanetLabel('Sun', '太阳', solarSystem, SUN_RADIUS);
-  
-  // 为水星添加标签
-  createPlanetLabel('Mercury', '水星', mercurySystem, EARTH_RADIUS * MERCURY_RADIUS_RATIO);
-  
-  // 为金星添加标签
-  createPlanetLabel('Venus', '金星', venusSystem, EARTH_RADIUS * VENUS_RADIUS_RATIO);
-  
-  // 为地球添加标签
-  createPlanetLabel('Earth', '地球', earthSystem, EARTH_RADIUS);
-  
-  // 为月球添加标签
-  createPlanetLabel('Moon', '月球', moonSystem, EARTH_RADIUS * MOON_RADIUS_RATIO);
-  
-  // 为火星添加标签
-  createPlanetLabel('Mars', '火星', marsSystem, EARTH_RADIUS * MARS_RADIUS_RATIO);
-  
-  // 为木星添加标签
-  createPlanetLabel('Jupiter', '木星', jupiterSystem, EARTH_RADIUS * JUPITER_RADIUS_RATIO);
-  
-  // 为土星添加标签
-  createPlanetLabel('Saturn', '土星', saturnSystem, EARTH_RADIUS * SATURN_RADIUS_RATIO);
-  
-  // 为天王星添加标签
-  createPlanetLabel('Uranus', '天王星', uranusSystem, EARTH_RADIUS * URANUS_RADIUS_RATIO);
-  
-  // 为海王星添加标签
-  createPlanetLabel('Neptune', '海王星', neptuneSystem, EARTH_RADIUS * NEPTUNE_RADIUS_RATIO);
-  
-  // 为冥王星添加标签
-  createPlanetLabel('Pluto', '冥王星', plutoSystem, EARTH_RADIUS * PLUTO_RADIUS_RATIO);
-  
-  // 导出更新后的对象引用
-  return {
-    solarSystem,
-    sunMesh,
-    sunCoreMesh,
-    sunGlowMesh,
-    sunShaderMaterial,
-    solarFlareRingMaterial,
-    sunAtmosphereMaterial,
-    sunEruptionSystem,
-    mercurySystem,
-    mercuryMesh,
-    venusSystem,
-    venusMesh,
-    earthSystem,
-    earthMesh: earthMesh,
-    lightsMesh,
-    cloudsMesh,
-    earthGlowMesh,
-    moonSystem,
-    moonMesh,
-    marsSystem,
-    marsMesh,
-    jupiterSystem,
-    jupiterMesh,
-    saturnSystem,
-    saturnMesh,
-    saturnRingMesh,
-    uranusSystem,
-    uranusMesh,
-    uranusRingMesh,
-    neptuneSystem,
-    neptuneMesh,
-    plutoSystem,
-    plutoMesh
-  };
+  return sunEruptionSystem;
 }
 
 /**
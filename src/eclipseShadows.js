@@ -0,0 +1,120 @@
+import * as THREE from "three";
+
+// 每个天体最多接收几个球形天体的投影（木星需要四颗伽利略卫星）
+export const MAX_SHADOW_SPHERES = 4;
+
+// 没有行星环透明度贴图时使用的纯白贴图，即环面完全按不透明度遮挡
+const WHITE_TEXTURE = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
+WHITE_TEXTURE.needsUpdate = true;
+
+// 日食、月食与行星环投影的解析计算，均在世界坐标中进行，需要<common>中的PI
+// 球形天体：从接收点看去，按天体圆盘遮住太阳圆盘的面积比例减弱阳光，自然形成本影与半影
+// 行星环：沿太阳方向与环面求交，交点落在环内时按环的透明度贴图遮挡
+export const ECLIPSE_SHADOW_GLSL = `
+  #define MAX_SHADOW_SPHERES ${MAX_SHADOW_SPHERES}
+  uniform vec4 sunSphere;
+  uniform vec4 shadowSpheres[ MAX_SHADOW_SPHERES ];
+  uniform int shadowSphereCount;
+  uniform float ringShadowOpacity;
+  uniform mat4 ringInverseMatrix;
+  uniform vec2 ringRadii;
+  uniform sampler2D ringShadowMap;
+
+  // 半径为a、b，圆心相距d的两个圆盘的重叠面积
+  float discOverlap( float a, float b, float d ) {
+    if ( d >= a + b ) return 0.0;
+    if ( d <= abs( a - b ) ) return PI * min( a, b ) * min( a, b );
+    float x = ( d * d + a * a - b * b ) / ( 2.0 * d );
+    float y = d - x;
+    return a * a * acos( clamp( x / a, -1.0, 1.0 ) ) - x * sqrt( max( a * a - x * x, 0.0 ) )
+      + b * b * acos( clamp( y / b, -1.0, 1.0 ) ) - y * sqrt( max( b * b - y * y, 0.0 ) );
+  }
+
+  // 某点接收到的阳光比例，0为全影，1为没有遮挡
+  float getEclipseShadow( vec3 worldPosition ) {
+    vec3 toSun = sunSphere.xyz - worldPosition;
+    float sunDistance = length( toSun );
+    vec3 sunDir = toSun / sunDistance;
+    float sunAngle = asin( min( sunSphere.w / sunDistance, 1.0 ) );
+    float light = 1.0;
+
+    for ( int i = 0; i < MAX_SHADOW_SPHERES; i++ ) {
+      if ( i >= shadowSphereCount ) break;
+      vec3 toCaster = shadowSpheres[ i ].xyz - worldPosition;
+      float casterDistance = length( toCaster );
+      // 只有位于接收点与太阳之间的天体才能遮挡
+      if ( casterDistance <= shadowSpheres[ i ].w || casterDistance >= sunDistance || dot( toCaster, sunDir ) <= 0.0 ) continue;
+      vec3 casterDir = toCaster / casterDistance;
+      float casterAngle = asin( shadowSpheres[ i ].w / casterDistance );
+      float separation = atan( length( cross( sunDir, casterDir ) ), dot( sunDir, casterDir ) );
+      light *= 1.0 - discOverlap( sunAngle, casterAngle, separation ) / ( PI * sunAngle * sunAngle );
+    }
+
+    if ( ringShadowOpacity > 0.0 ) {
+      // 在环的模型坐标中求交，环位于y = 0平面，贴图的v坐标由内缘0到外缘1
+      vec3 ringPosition = ( ringInverseMatrix * vec4( worldPosition, 1.0 ) ).xyz;
+      vec3 ringSun = ( ringInverseMatrix * vec4( sunDir, 0.0 ) ).xyz;
+      if ( ringPosition.y * ringSun.y < 0.0 ) {
+        vec3 hit = ringPosition - ringSun * ( ringPosition.y / ringSun.y );
+        float t = ( length( hit.xz ) - ringRadii.x ) / ( ringRadii.y - ringRadii.x );
+        if ( t >= 0.0 && t <= 1.0 ) {
+          light *= 1.0 - ringShadowOpacity * texture2D( ringShadowMap, vec2( 0.5, t ) ).g;
+        }
+      }
+    }
+    return clamp( light, 0.0, 1.0 );
+  }
+`;
+
+/**
+ * 创建一个接收投影的天体所用的uniform，由createSolarSystem每帧更新
+ * @returns {Object} 太阳、遮挡天体与行星环的uniform
+ */
+export function createEclipseUniforms() {
+  return {
+    // 太阳球心（世界坐标）与半径
+    sunSphere: { value: new THREE.Vector4(0, 0, 0, 1) },
+    // 遮挡天体的球心（世界坐标）与半径
+    shadowSpheres: { value: Array.from({ length: MAX_SHADOW_SPHERES }, () => new THREE.Vector4()) },
+    shadowSphereCount: { value: 0 },
+    // 行星环的不透明度，0表示不计算行星环的投影
+    ringShadowOpacity: { value: 0 },
+    // 世界坐标到环模型坐标的变换
+    ringInverseMatrix: { value: new THREE.Matrix4() },
+    // 环的内、外半径（环模型坐标）
+    ringRadii: { value: new THREE.Vector2(1, 2) },
+    ringShadowMap: { value: WHITE_TEXTURE }
+  };
+}
+
+/**
+ * 让材质接收日食、月食与行星环的投影
+ * 自定义着色器材质需自行包含ECLIPSE_SHADOW_GLSL，这里只替换其uniform；
+ * 内置材质在编译时注入代码，只减弱直射光（太阳光），环境光与自发光不受影响
+ * @param {THREE.Material} material - 天体或行星环的材质
+ * @param {Object} uniforms - createEclipseUniforms创建的uniform
+ */
+export function applyEclipseShadows(material, uniforms) {
+  if (material.isShaderMaterial) {
+    Object.assign(material.uniforms, uniforms);
+    return;
+  }
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = 'varying vec3 vEclipseWorldPosition;\n' + shader.vertexShader.replace(
+      '#include <project_vertex>',
+      `#include <project_vertex>
+      vEclipseWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;`
+    );
+    shader.fragmentShader = 'varying vec3 vEclipseWorldPosition;\n' + shader.fragmentShader
+      .replace('#include <common>', '#include <common>\n' + ECLIPSE_SHADOW_GLSL)
+      .replace(
+        '#include <lights_fragment_end>',
+        `#include <lights_fragment_end>
+        float eclipseShadow = getEclipseShadow( vEclipseWorldPosition );
+        reflectedLight.directDiffuse *= eclipseShadow;
+        reflectedLight.directSpecular *= eclipseShadow;`
+      );
+  };
+  material.customProgramCacheKey = () => 'eclipseShadows';
+}
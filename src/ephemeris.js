@@ -0,0 +1,134 @@
+import * as THREE from "three";
+import { getOrbitalPosition } from "./orbitalMechanics.js";
+
+// J2000历元对应的儒略日
+export const J2000_JULIAN_DAY = 2451545.0;
+
+const DAYS_PER_CENTURY = 36525;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Standish表1根数的适用范围：1800-2050年（自J2000起的儒略世纪数）
+const SHORT_TERM_START = -2;
+const SHORT_TERM_END = 0.5;
+
+// J2000黄赤交角
+const OBLIQUITY = 23.4392911 * DEG_TO_RAD;
+
+// 赤道坐标系 -> 黄道坐标系(绕x轴旋转-ε) -> 场景坐标系(绕x轴旋转-90°，y轴向上)
+const EQUATORIAL_TO_SCENE = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -(Math.PI / 2 + OBLIQUITY));
+
+// 网格坐标系 -> 天体固连坐标系：IcosahedronGeometry的极轴为+y，贴图中心（本初子午线）朝向-x，
+// 而IAU天体坐标系的z轴指向北极、x轴指向本初子午线，即(x, y, z)网格 = (-x, z, y)天体
+const MESH_TO_BODY = new THREE.Quaternion(0, Math.SQRT1_2, Math.SQRT1_2, 0);
+
+const _axisZ = new THREE.Vector3(0, 0, 1);
+const _axisX = new THREE.Vector3(1, 0, 0);
+const _quaternion = new THREE.Quaternion();
+
+/**
+ * 将日期转换为儒略日
+ * @param {Date|Number} date - 日期对象或毫秒时间戳
+ * @returns {Number} 儒略日
+ */
+export function dateToJulianDay(date) {
+  const time = date instanceof Date ? date.getTime() : date;
+  return time / 86400000 + 2440587.5;
+}
+
+/**
+ * 根据J2000平均轨道根数及其长期变化率计算指定时刻的开普勒轨道根数
+ * 行星根数取自JPL "Keplerian Elements for Approximate Positions of the Major Planets"（E. M. Standish）：
+ * 表1适用于1800-2050年；范围以外改用longTerm中适用于公元前3000年至公元3000年的表2a根数，
+ * 并按表2b给平近点角加上 b·T² + c·cos(f·T) + s·sin(f·T) 修正木星至冥王星的长周期摄动
+ * @param {Object} table - 轨道根数表：a-半长轴，e-偏心率，i-轨道倾角，L-平黄经，
+ *                         longPeri-近日点黄经，node-升交点黄经（度），rates为每儒略世纪的变化率（缺省为0），
+ *                         longTerm为可选的长期根数表，字段相同，另有修正项b、c、s（度）与f（度/儒略世纪）
+ * @param {Number} days - 自J2000历元起的天数
+ * @returns {Object} orbitalMechanics.getOrbitalPosition可用的轨道根数，平近点角为该时刻的值
+ */
+export function getElementsAtDate(table, days) {
+  const T = days / DAYS_PER_CENTURY; // 自J2000起的儒略世纪数
+  const longTerm = table.longTerm && (T < SHORT_TERM_START || T > SHORT_TERM_END) ? table.longTerm : null;
+  const source = longTerm || table;
+  // 未给出的变化率视为0（卫星通常只给出平黄经的变化率）
+  const rates = { a: 0, e: 0, i: 0, L: 0, longPeri: 0, node: 0, ...source.rates };
+
+  const a = source.a + rates.a * T;
+  const e = source.e + rates.e * T;
+  const i = source.i + rates.i * T;
+  const L = source.L + rates.L * T;
+  const longPeri = source.longPeri + rates.longPeri * T;
+  const node = source.node + rates.node * T;
+  let meanAnomaly = L - longPeri;
+  if (longTerm) {
+    const { b = 0, c = 0, s = 0, f = 0 } = longTerm;
+    meanAnomaly += b * T * T + c * Math.cos(f * T * DEG_TO_RAD) + s * Math.sin(f * T * DEG_TO_RAD);
+  }
+
+  return {
+    semiMajorAxis: a,
+    eccentricity: e,
+    inclination: i,
+    longitudeOfAscendingNode: node,
+    argumentOfPerihelion: longPeri - node,
+    meanAnomaly,
+    // 由平黄经变化率得到恒星周期（天）
+    period: 360 * DAYS_PER_CENTURY / rates.L
+  };
+}
+
+/**
+ * 计算天体在指定时刻相对于中心天体的位置（场景坐标系）
+ * @param {Object} table - 轨道根数表，见getElementsAtDate
+ * @param {Number} days - 自J2000历元起的天数
+ * @param {THREE.Vector3} target - 用于写入结果的向量，可选
+ * @returns {THREE.Vector3} 与半长轴同单位的位置
+ */
+export function getHeliocentricPosition(table, days, target = new THREE.Vector3()) {
+  return getOrbitalPosition(getElementsAtDate(table, days), 0, target);
+}
+
+/**
+ * 将J2000赤道坐标（赤经、赤纬）转换为场景坐标系中的单位方向，用于恒星等天球上的天体
+ * @param {Number} ra - 赤经（度）
+ * @param {Number} dec - 赤纬（度）
+ * @param {THREE.Vector3} target - 用于写入结果的向量，可选
+ * @returns {THREE.Vector3} 单位方向向量
+ */
+export function equatorialToScene(ra, dec, target = new THREE.Vector3()) {
+  const alpha = ra * DEG_TO_RAD;
+  const delta = dec * DEG_TO_RAD;
+  target.set(Math.cos(delta) * Math.cos(alpha), Math.cos(delta) * Math.sin(alpha), Math.sin(delta));
+  return target.applyQuaternion(EQUATORIAL_TO_SCENE);
+}
+
+/**
+ * 根据IAU自转根数计算天体赤道面的朝向（不含绕极轴的自转）
+ * 根数取自IAU WGCCRE 2015报告，忽略周期性章动项
+ * @param {Object} rotation - 自转根数：ra、dec-北极的赤经赤纬（度），raRate、decRate-每儒略世纪的变化率
+ * @param {Number} days - 自J2000历元起的天数
+ * @param {THREE.Quaternion} target - 用于写入结果的四元数，可选
+ * @returns {THREE.Quaternion} 将网格坐标系（极轴为+y）转换到场景坐标系的旋转
+ */
+export function getPoleOrientation(rotation, days, target = new THREE.Quaternion()) {
+  const T = days / DAYS_PER_CENTURY;
+  const ra = (rotation.ra + (rotation.raRate || 0) * T) * DEG_TO_RAD;
+  const dec = (rotation.dec + (rotation.decRate || 0) * T) * DEG_TO_RAD;
+
+  // 天体坐标系 -> 赤道坐标系：Rz(90°+α0)·Rx(90°-δ0)
+  target.copy(EQUATORIAL_TO_SCENE);
+  target.multiply(_quaternion.setFromAxisAngle(_axisZ, Math.PI / 2 + ra));
+  target.multiply(_quaternion.setFromAxisAngle(_axisX, Math.PI / 2 - dec));
+  return target.multiply(MESH_TO_BODY);
+}
+
+/**
+ * 根据IAU自转根数计算本初子午线的自转角W
+ * @param {Object} rotation - 自转根数：W-J2000时的角度（度），Wdot-每天的变化率（度/天，负值表示逆向自转）
+ * @param {Number} days - 自J2000历元起的天数
+ * @returns {Number} 自转角（弧度，范围[0, 2π)），绕赤道面朝向的+y轴旋转
+ */
+export function getPrimeMeridianAngle(rotation, days) {
+  const W = (rotation.W + rotation.Wdot * days) % 360;
+  return (W < 0 ? W + 360 : W) * DEG_TO_RAD;
+}
@@ -0,0 +1,173 @@
+import * as THREE from "three";
+
+/**
+ * 创建大气散射材质：沿视线对瑞利散射与米氏散射做单次散射积分
+ * 瑞利散射使地球边缘呈蓝色、晨昏线附近因光程变长而偏红，米氏散射使逆光时边缘明亮
+ * 材质用于半径为(1 + thickness)的球面网格，网格缩放为行星半径，着色器在以行星半径为单位的模型坐标中计算
+ * sunDirection需每帧更新为从行星指向太阳的世界坐标单位向量，sunIrradiance需每帧更新为行星处的相对太阳照度
+ * 输出线性亮度，由渲染器统一做色调映射与曝光
+ * @param {Object} options - 配置选项
+ * @param {Number} options.thickness - 大气层厚度（相对行星半径）
+ * @param {Array<Number>} options.rayleigh - 地面处的瑞利散射系数（RGB，每行星半径）
+ * @param {Number} options.rayleighHeight - 瑞利散射的标高（相对行星半径）
+ * @param {Array<Number>} options.mie - 地面处的米氏散射系数（RGB，每行星半径），尘埃和雾霾可带颜色，消光按最强的通道计算
+ * @param {Number} options.mieHeight - 米氏散射的标高（相对行星半径）
+ * @param {Number} options.mieG - 米氏散射的前向不对称因子，越接近1逆光边缘越亮
+ * @param {Number} options.intensity - 1AU处的太阳光强度
+ * @returns {THREE.ShaderMaterial} 大气散射着色器材质
+ */
+export function getAtmosphereMat(options = {}) {
+  const {
+    thickness = 0.03,
+    rayleigh = [12.3, 28.7, 70.3],
+    rayleighHeight = 0.0038,
+    mie = [44.6, 44.6, 44.6],
+    mieHeight = 0.0006,
+    mieG = 0.76,
+    intensity = 20.0
+  } = options;
+  const uniforms = {
+    atmosphereRadius: { value: 1.0 + thickness },
+    rayleigh: { value: new THREE.Vector3(...rayleigh) },
+    rayleighHeight: { value: rayleighHeight },
+    mie: { value: new THREE.Vector3(...mie) },
+    mieHeight: { value: mieHeight },
+    mieG: { value: mieG },
+    intensity: { value: intensity },
+    sunIrradiance: { value: 1.0 },
+    sunDirection: { value: new THREE.Vector3(1, 0, 0) },
+    // 世界坐标到模型坐标的变换，每次绘制前在CPU上求逆
+    worldToLocal: { value: new THREE.Matrix4() },
+  };
+  const vs = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+  uniform vec3 sunDirection;
+  uniform mat4 worldToLocal;
+
+  varying vec3 vLocalPosition;
+  varying vec3 vLocalCamera;
+  varying vec3 vLocalSun;
+
+  void main() {
+    vLocalPosition = position;
+    vLocalCamera = ( worldToLocal * vec4( cameraPosition, 1.0 ) ).xyz;
+    vLocalSun = normalize( ( worldToLocal * vec4( sunDirection, 0.0 ) ).xyz );
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+    #include <logdepthbuf_vertex>
+  }
+  `;
+  const fs = `
+  #include <common>
+  #include <logdepthbuf_pars_fragment>
+  #define VIEW_STEPS 16
+  #define LIGHT_STEPS 6
+
+  uniform float atmosphereRadius;
+  uniform vec3 rayleigh;
+  uniform float rayleighHeight;
+  uniform vec3 mie;
+  uniform float mieHeight;
+  uniform float mieG;
+  uniform float intensity;
+  uniform float sunIrradiance;
+
+  varying vec3 vLocalPosition;
+  varying vec3 vLocalCamera;
+  varying vec3 vLocalSun;
+
+  // 射线与球心在原点的球面的两个交点距离，不相交时返回(-1, -1)
+  vec2 raySphere( vec3 origin, vec3 dir, float radius ) {
+    float b = dot( origin, dir );
+    float c = dot( origin, origin ) - radius * radius;
+    float d = b * b - c;
+    if ( d < 0.0 ) return vec2( -1.0 );
+    d = sqrt( d );
+    return vec2( -b - d, -b + d );
+  }
+
+  // 从某点沿太阳方向到大气层顶的光学深度（瑞利, 米氏），被行星挡住时返回负值
+  vec2 sunOpticalDepth( vec3 position ) {
+    if ( raySphere( position, vLocalSun, 1.0 ).x > 0.0 ) return vec2( -1.0 );
+    float rayLength = raySphere( position, vLocalSun, atmosphereRadius ).y;
+    float stepSize = rayLength / float( LIGHT_STEPS );
+    vec2 depth = vec2( 0.0 );
+    for ( int i = 0; i < LIGHT_STEPS; i++ ) {
+      float height = length( position + vLocalSun * ( float( i ) + 0.5 ) * stepSize ) - 1.0;
+      depth += exp( -height / vec2( rayleighHeight, mieHeight ) ) * stepSize;
+    }
+    return depth;
+  }
+
+  void main() {
+    #include <logdepthbuf_fragment>
+    vec3 origin = vLocalCamera;
+    vec3 dir = normalize( vLocalPosition - vLocalCamera );
+
+    // 视线在大气层内的区间，遇到行星表面时截止
+    vec2 atmosphere = raySphere( origin, dir, atmosphereRadius );
+    if ( atmosphere.y < 0.0 ) discard;
+    float start = max( atmosphere.x, 0.0 );
+    float end = atmosphere.y;
+    vec2 ground = raySphere( origin, dir, 1.0 );
+    if ( ground.x > 0.0 ) end = min( end, ground.x );
+
+    // 相机在大气层外时，以光线进入大气层处为深度，使行星前方的大气不被行星自身遮挡
+    #if defined( USE_LOGDEPTHBUF ) && defined( USE_LOGDEPTHBUF_EXT )
+    if ( atmosphere.x > 0.0 ) {
+      vec3 entry = ( modelMatrix * vec4( origin + dir * start, 1.0 ) ).xyz;
+      float entryDepth = -( viewMatrix * vec4( entry, 1.0 ) ).z;
+      gl_FragDepthEXT = log2( 1.0 + max( entryDepth, 0.0 ) ) * logDepthBufFC * 0.5;
+    }
+    #endif
+
+    float mieExtinction = max( mie.r, max( mie.g, mie.b ) ) * 1.1;
+    float stepSize = ( end - start ) / float( VIEW_STEPS );
+    vec2 viewDepth = vec2( 0.0 );
+    vec3 sumRayleigh = vec3( 0.0 );
+    vec3 sumMie = vec3( 0.0 );
+    for ( int i = 0; i < VIEW_STEPS; i++ ) {
+      vec3 position = origin + dir * ( start + ( float( i ) + 0.5 ) * stepSize );
+      float height = length( position ) - 1.0;
+      vec2 density = exp( -height / vec2( rayleighHeight, mieHeight ) ) * stepSize;
+      viewDepth += density;
+
+      vec2 sunDepth = sunOpticalDepth( position );
+      if ( sunDepth.x < 0.0 ) continue;
+      // 沿太阳光路与视线两段的总衰减；带颜色的米氏散射其余部分被吸收，消光按最强的通道计
+      vec3 tau = rayleigh * ( viewDepth.x + sunDepth.x ) + mieExtinction * ( viewDepth.y + sunDepth.y );
+      vec3 attenuation = exp( -tau );
+      sumRayleigh += density.x * attenuation;
+      sumMie += density.y * attenuation;
+    }
+
+    // 相位函数：瑞利散射前后对称，米氏散射（Henyey-Greenstein）集中在前向
+    float mu = dot( dir, vLocalSun );
+    float phaseRayleigh = 3.0 / ( 16.0 * PI ) * ( 1.0 + mu * mu );
+    float g2 = mieG * mieG;
+    float phaseMie = 3.0 / ( 8.0 * PI ) * ( ( 1.0 - g2 ) * ( 1.0 + mu * mu ) )
+      / ( ( 2.0 + g2 ) * pow( 1.0 + g2 - 2.0 * mieG * mu, 1.5 ) );
+
+    // 与天体表面一样按太阳照度衰减，色调映射与自动曝光交给渲染器
+    vec3 color = intensity * sunIrradiance * ( sumRayleigh * rayleigh * phaseRayleigh + sumMie * mie * phaseMie );
+    gl_FragColor = vec4( color, 1.0 );
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+  `;
+  const atmosphereMat = new THREE.ShaderMaterial({
+    uniforms: uniforms,
+    vertexShader: vs,
+    fragmentShader: fs,
+    side: THREE.BackSide,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  // 此时网格的世界矩阵已更新，逆矩阵只需每次绘制算一次，而不必在每个顶点上计算
+  atmosphereMat.onBeforeRender = (renderer, scene, camera, geometry, object) => {
+    uniforms.worldToLocal.value.copy(object.matrixWorld).invert();
+  };
+  return atmosphereMat;
+}
@@ -0,0 +1,180 @@
+import * as THREE from "three";
+import { equatorialToScene } from "./ephemeris.js";
+import { SKY_POSITION_GLSL } from "./getStarfield.js";
+
+// 名称图集中每个名称所占的格子（像素）与每行的格子数
+const LABEL_WIDTH = 128;
+const LABEL_HEIGHT = 32;
+const LABEL_COLUMNS = 8;
+
+/**
+ * 把所有星座名称绘制到同一张图集上
+ * @param {Array<String>} names - 星座名称
+ * @param {String} color - 文字颜色
+ * @returns {THREE.CanvasTexture} 名称图集
+ */
+function createLabelAtlas(names, color) {
+  const rows = Math.ceil(names.length / LABEL_COLUMNS);
+  const canvas = document.createElement('canvas');
+  canvas.width = LABEL_WIDTH * LABEL_COLUMNS;
+  canvas.height = LABEL_HEIGHT * rows;
+  const context = canvas.getContext('2d');
+  context.font = '20px Arial';
+  context.fillStyle = color;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  names.forEach((name, i) => {
+    const column = i % LABEL_COLUMNS;
+    const row = Math.floor(i / LABEL_COLUMNS);
+    context.fillText(name, (column + 0.5) * LABEL_WIDTH, (row + 0.5) * LABEL_HEIGHT);
+  });
+  return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * 创建星座连线与星座名称，与星空一样渲染在无穷远处
+ * 连线的两个端点都在以相机为中心的天球上，投影后恰好是天球上的大圆弧
+ * @param {Object} options - 配置选项
+ * @param {String} options.url - 星座数据文件地址
+ * @param {THREE.LoadingManager} options.loadingManager - 资源加载管理器，可选
+ * @returns {Object} 包含group、setLinesVisible、setNamesVisible、isLinesVisible、isNamesVisible方法的对象
+ */
+export default function getConstellations(options = {}) {
+  // 默认配置
+  const config = {
+    url: './data/constellations.json', // 星座连线（赤经、赤纬折线）与名称位置
+    lineColor: 0x3399ff,               // 连线颜色
+    lineOpacity: 0.45,                 // 连线不透明度
+    labelColor: '#0cf',                // 名称颜色
+    linesVisible: true,
+    namesVisible: true,
+    ...options
+  };
+
+  const group = new THREE.Group();
+  group.name = 'constellations';
+
+  const lineMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      color: { value: new THREE.Color(config.lineColor) },
+      opacity: { value: config.lineOpacity }
+    },
+    vertexShader: SKY_POSITION_GLSL + `
+      void main() {
+        gl_Position = getSkyPosition(position);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 color;
+      uniform float opacity;
+
+      void main() {
+        gl_FragColor = vec4(color, opacity);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    depthFunc: THREE.LessEqualDepth
+  });
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry(), lineMaterial);
+  lines.frustumCulled = false;
+  lines.renderOrder = -1;
+  lines.visible = config.linesVisible;
+  group.add(lines);
+
+  const nameMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      atlas: { value: null },
+      // 单个格子在图集中所占的纹理坐标范围
+      cellSize: { value: new THREE.Vector2() },
+      size: { value: LABEL_WIDTH }
+    },
+    vertexShader: SKY_POSITION_GLSL + `
+      uniform float size;
+      attribute vec2 cell;
+      varying vec2 vCell;
+
+      void main() {
+        vCell = cell;
+        gl_Position = getSkyPosition(position);
+        gl_PointSize = size;
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D atlas;
+      uniform vec2 cellSize;
+      varying vec2 vCell;
+
+      void main() {
+        // 点精灵是正方形，文字只占中间的一条
+        float band = float(${LABEL_HEIGHT}) / float(${LABEL_WIDTH});
+        float v = (gl_PointCoord.y - 0.5) / band + 0.5;
+        if (v < 0.0 || v > 1.0) discard;
+        vec2 uv = (vCell + vec2(gl_PointCoord.x, v)) * cellSize;
+        // 画布的纵坐标向下，纹理的纵坐标向上
+        gl_FragColor = texture2D(atlas, vec2(uv.x, 1.0 - uv.y));
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    depthFunc: THREE.LessEqualDepth
+  });
+  const names = new THREE.Points(new THREE.BufferGeometry(), nameMaterial);
+  names.frustumCulled = false;
+  names.renderOrder = -1;
+  names.visible = config.namesVisible;
+  group.add(names);
+
+  /**
+   * 按星座数据填充连线与名称
+   * @param {Array} constellations - 星座条目 {id, name, label: [赤经, 赤纬], lines: [[[赤经, 赤纬], ...], ...]}
+   */
+  function build(constellations) {
+    const direction = new THREE.Vector3();
+
+    // 每条折线拆成首尾相接的线段
+    const segments = [];
+    for (const { lines: polylines } of constellations) {
+      for (const polyline of polylines) {
+        for (let i = 1; i < polyline.length; i++) {
+          for (const [ra, dec] of [polyline[i - 1], polyline[i]]) {
+            equatorialToScene(ra, dec, direction);
+            segments.push(direction.x, direction.y, direction.z);
+          }
+        }
+      }
+    }
+    lines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(segments, 3));
+
+    const labelPositions = [];
+    const cells = [];
+    constellations.forEach(({ label }, i) => {
+      equatorialToScene(label[0], label[1], direction);
+      labelPositions.push(direction.x, direction.y, direction.z);
+      cells.push(i % LABEL_COLUMNS, Math.floor(i / LABEL_COLUMNS));
+    });
+    names.geometry.setAttribute('position', new THREE.Float32BufferAttribute(labelPositions, 3));
+    names.geometry.setAttribute('cell', new THREE.Float32BufferAttribute(cells, 2));
+
+    const atlas = createLabelAtlas(constellations.map((constellation) => constellation.name), config.labelColor);
+    nameMaterial.uniforms.atlas.value = atlas;
+    nameMaterial.uniforms.cellSize.value.set(
+      LABEL_WIDTH / atlas.image.width,
+      LABEL_HEIGHT / atlas.image.height
+    );
+  }
+
+  const loader = new THREE.FileLoader(config.loadingManager);
+  loader.setResponseType('json');
+  loader.load(config.url, (data) => build(data.constellations), undefined, (error) => {
+    console.error("星座数据加载失败:", error);
+  });
+
+  return {
+    group,
+    setLinesVisible: (value) => { lines.visible = value; },
+    setNamesVisible: (value) => { names.visible = value; },
+    isLinesVisible: () => lines.visible,
+    isNamesVisible: () => names.visible
+  };
+}
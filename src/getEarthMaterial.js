@@ -0,0 +1,175 @@
+import * as THREE from "three";
+import { ECLIPSE_SHADOW_GLSL, createEclipseUniforms } from "./eclipseShadows.js";
+
+// 缺少贴图时使用的纯黑贴图：没有夜景灯光、没有高光、没有云层、表面平坦
+const BLACK_TEXTURE = new THREE.DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1);
+BLACK_TEXTURE.needsUpdate = true;
+
+/**
+ * 创建地球材质：在一个着色器中完成昼夜交界、夜景灯光、海洋高光、云层及其投影
+ * 光照只取决于太阳方向，sunDirection需每帧更新为从地球指向太阳的世界坐标单位向量，sunIrradiance为地球处的相对太阳照度；
+ * 月球的本影与半影由日食投影uniform给出（见eclipseShadows.js）
+ * 输出线性亮度，由渲染器统一做色调映射与曝光；着色器只用GLSL ES 1.0的函数，
+ * 地形起伏所需的屏幕空间导数在WebGL1下通过OES_standard_derivatives扩展启用
+ * @param {Object} options - 配置选项
+ * @param {THREE.Texture} options.map - 白天的地表贴图
+ * @param {THREE.Texture} options.nightMap - 夜景灯光贴图
+ * @param {THREE.Texture} options.specularMap - 高光贴图，海洋为白色
+ * @param {THREE.Texture} options.bumpMap - 地形起伏贴图
+ * @param {Number} options.bumpScale - 地形起伏强度
+ * @param {THREE.Texture} options.cloudMap - 云量贴图，白色为云
+ * @param {Number} options.cloudOpacity - 云层不透明度
+ * @param {Number} options.cloudShadow - 云层投影的浓度
+ * @param {Number} options.cloudHeight - 云层高度（相对半径）
+ * @returns {THREE.ShaderMaterial} 地球着色器材质
+ */
+export function getEarthMaterial(options = {}) {
+  const {
+    map = BLACK_TEXTURE,
+    nightMap = BLACK_TEXTURE,
+    specularMap = BLACK_TEXTURE,
+    bumpMap = BLACK_TEXTURE,
+    bumpScale = 0.04,
+    cloudMap = BLACK_TEXTURE,
+    cloudOpacity = 0.7,
+    cloudShadow = 0.5,
+    cloudHeight = 0.01
+  } = options;
+  // 云层绕极轴旋转，横向需要循环采样
+  if (cloudMap) {
+    cloudMap.wrapS = THREE.RepeatWrapping;
+  }
+  const uniforms = {
+    dayMap: { value: map || BLACK_TEXTURE },
+    nightMap: { value: nightMap || BLACK_TEXTURE },
+    specularMap: { value: specularMap || BLACK_TEXTURE },
+    bumpMap: { value: bumpMap || BLACK_TEXTURE },
+    bumpScale: { value: bumpScale },
+    cloudMap: { value: cloudMap || BLACK_TEXTURE },
+    cloudOpacity: { value: cloudOpacity },
+    cloudShadow: { value: cloudShadow },
+    cloudHeight: { value: cloudHeight },
+    // 云层相对地表多转过的角度（弧度）
+    cloudRotation: { value: 0 },
+    sunDirection: { value: new THREE.Vector3(1, 0, 0) },
+    sunIrradiance: { value: 1.0 },
+    ...createEclipseUniforms(),
+  };
+  const vs = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
+  uniform vec3 sunDirection;
+
+  varying vec2 vUv;
+  varying vec3 vWorldNormal;
+  varying vec3 vWorldPosition;
+  varying vec3 vLocalPosition;
+  varying vec3 vLocalSun;
+
+  void main() {
+    vUv = uv;
+    vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
+    vWorldPosition = worldPosition.xyz;
+    vWorldNormal = normalize( mat3( modelMatrix ) * normal );
+    vLocalPosition = position;
+    // 模型矩阵只含旋转与均匀缩放，乘以其转置即可把方向变回模型坐标系（逐列点乘，WebGL1没有transpose）
+    vLocalSun = normalize( vec3(
+      dot( modelMatrix[ 0 ].xyz, sunDirection ),
+      dot( modelMatrix[ 1 ].xyz, sunDirection ),
+      dot( modelMatrix[ 2 ].xyz, sunDirection )
+    ) );
+
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    #include <logdepthbuf_vertex>
+  }
+  `;
+  const fs = `
+  #include <common>
+  #include <logdepthbuf_pars_fragment>
+  ${ECLIPSE_SHADOW_GLSL}
+  uniform sampler2D dayMap;
+  uniform sampler2D nightMap;
+  uniform sampler2D specularMap;
+  uniform sampler2D bumpMap;
+  uniform float bumpScale;
+  uniform sampler2D cloudMap;
+  uniform float cloudOpacity;
+  uniform float cloudShadow;
+  uniform float cloudHeight;
+  uniform float cloudRotation;
+  uniform vec3 sunDirection;
+  uniform float sunIrradiance;
+
+  varying vec2 vUv;
+  varying vec3 vWorldNormal;
+  varying vec3 vWorldPosition;
+  varying vec3 vLocalPosition;
+  varying vec3 vLocalSun;
+
+  // 与IcosahedronGeometry相同的球面贴图坐标
+  vec2 sphereUv( vec3 p ) {
+    vec3 n = normalize( p );
+    return vec2( atan( n.z, -n.x ) / PI2 + 0.5, atan( n.y, length( n.xz ) ) / PI + 0.5 );
+  }
+
+  // 按屏幕空间导数扰动法线，得到地形起伏
+  vec3 perturbNormal( vec3 position, vec3 normal ) {
+    vec2 dSTdx = dFdx( vUv );
+    vec2 dSTdy = dFdy( vUv );
+    float height = texture2D( bumpMap, vUv ).x;
+    float dBx = texture2D( bumpMap, vUv + dSTdx ).x - height;
+    float dBy = texture2D( bumpMap, vUv + dSTdy ).x - height;
+    vec3 sigmaX = dFdx( position );
+    vec3 sigmaY = dFdy( position );
+    vec3 r1 = cross( sigmaY, normal );
+    vec3 r2 = cross( normal, sigmaX );
+    float det = dot( sigmaX, r1 );
+    vec3 gradient = sign( det ) * ( bumpScale * dBx * r1 + bumpScale * dBy * r2 );
+    return normalize( abs( det ) * normal - gradient );
+  }
+
+  void main() {
+    #include <logdepthbuf_fragment>
+    vec3 normal = perturbNormal( vWorldPosition, normalize( vWorldNormal ) );
+    vec3 viewDir = normalize( cameraPosition - vWorldPosition );
+
+    // 昼夜交界：晨昏线附近平滑过渡，夜景灯光只出现在背阳面
+    float sunCos = dot( normalize( vWorldNormal ), sunDirection );
+    float daylight = smoothstep( -0.1, 0.15, sunCos );
+    // 日食：月影经过处阳光减弱，夜景灯光不受影响
+    float eclipse = getEclipseShadow( vWorldPosition );
+    // 到达地表的阳光随日食遮挡与当地照度变化
+    float sunlight = eclipse * sunIrradiance;
+    float diffuse = max( dot( normal, sunDirection ), 0.0 ) * sunlight;
+
+    // 云层：比地表转得快，投影沿太阳方向偏移一个云层高度
+    vec2 cloudOffset = vec2( cloudRotation / PI2, 0.0 );
+    float cloud = texture2D( cloudMap, vUv - cloudOffset ).x * cloudOpacity;
+    vec2 shadowShift = sphereUv( vLocalPosition + vLocalSun * cloudHeight * length( vLocalPosition ) ) - sphereUv( vLocalPosition );
+    shadowShift.x -= floor( shadowShift.x + 0.5 );
+    float shadow = texture2D( cloudMap, vUv + shadowShift - cloudOffset ).x * cloudShadow * daylight;
+
+    vec3 day = texture2D( dayMap, vUv ).rgb * diffuse * ( 1.0 - shadow );
+    vec3 night = texture2D( nightMap, vUv ).rgb * ( 1.0 - daylight ) * ( 1.0 - cloud );
+
+    // 海洋反射的太阳高光，被云层挡住的地方没有
+    vec3 halfDir = normalize( sunDirection + viewDir );
+    float glint = pow( max( dot( normal, halfDir ), 0.0 ), 40.0 ) * texture2D( specularMap, vUv ).x * daylight * sunlight;
+    vec3 surface = day + night + vec3( 1.0, 0.95, 0.85 ) * glint * 0.6 * ( 1.0 - shadow );
+
+    // 云层本身按光照着色，背阳面不可见
+    vec3 color = mix( surface, vec3( max( sunCos, 0.0 ) * sunlight ), cloud * daylight );
+    gl_FragColor = vec4( color, 1.0 );
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+  `;
+  const earthMat = new THREE.ShaderMaterial({
+    uniforms: uniforms,
+    vertexShader: vs,
+    fragmentShader: fs,
+    // WebGL1需要扩展才能使用dFdx/dFdy，WebGL2中为内置函数
+    extensions: { derivatives: true },
+  });
+  return earthMat;
+}
@@ -2,51 +2,100 @@ import * as THREE from "three";
 
 /**
  * 创建菲涅尔材质，实现物体边缘发光效果
- * @param {Object} options - 配置选项
+ * 边缘系数为 bias + scale * (1 - cos θ)^power，θ为视线与法线的夹角
+ * 可直接传入边缘颜色（THREE.Color、十六进制数或CSS颜色字符串），也可传入配置对象
+ * @param {THREE.Color|Number|String|Object} options - 边缘颜色或配置选项
+ * @param {THREE.Color|Number|String} options.color - 边缘颜色（兼容旧参数rimHex）
+ * @param {THREE.Color|Number|String} options.facing - 正对视线处的颜色（兼容旧参数facingHex）
+ * @param {Number} options.bias - 菲涅尔偏移，正对视线处的基础亮度
+ * @param {Number} options.scale - 菲涅尔缩放，边缘亮度
+ * @param {Number} options.power - 菲涅尔指数，越大光晕越贴近边缘
+ * @param {THREE.Vector3} options.sunDirection - 从物体指向太阳的世界坐标单位向量，可选；提供时边缘在向阳面更亮
+ * @param {Number} options.nightIntensity - 有太阳方向时背阳面边缘的相对亮度
+ * @param {Number} options.intensity - 整体亮度，受太阳照亮的光晕可每帧设为当地的太阳照度
  * @returns {THREE.ShaderMaterial} 菲涅尔着色器材质
  */
 export function getFresnelMat(options = {}) {
-  const { rimHex = 0x0088ff, facingHex = 0x000000 } = options;
+  if (options === null || options === undefined) {
+    options = {};
+  } else if (options instanceof THREE.Color || typeof options !== 'object') {
+    options = { color: options };
+  }
+  const {
+    color = options.rimHex ?? 0x0088ff,
+    facing = options.facingHex ?? 0x000000,
+    bias = 0.1,
+    scale = 1.0,
+    power = 4.0,
+    sunDirection = null,
+    nightIntensity = 0.15,
+    intensity = 1.0
+  } = options;
   const uniforms = {
-    color1: { value: new THREE.Color(rimHex) },
-    color2: { value: new THREE.Color(facingHex) },
-    fresnelBias: { value: 0.1 },
-    fresnelScale: { value: 1.0 },
-    fresnelPower: { value: 4.0 },
+    color1: { value: new THREE.Color(color) },
+    color2: { value: new THREE.Color(facing) },
+    fresnelBias: { value: bias },
+    fresnelScale: { value: scale },
+    fresnelPower: { value: power },
+    nightIntensity: { value: nightIntensity },
+    fresnelIntensity: { value: intensity },
   };
+  if (sunDirection) {
+    uniforms.sunDirection = { value: sunDirection };
+  }
   const vs = `
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
   uniform float fresnelBias;
   uniform float fresnelScale;
   uniform float fresnelPower;
-  
+
   varying float vReflectionFactor;
-  
+  varying vec3 vWorldNormal;
+
   void main() {
     vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
     vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
-  
+
     vec3 worldNormal = normalize( mat3( modelMatrix[0].xyz, modelMatrix[1].xyz, modelMatrix[2].xyz ) * normal );
-  
+    vWorldNormal = worldNormal;
+
     vec3 I = worldPosition.xyz - cameraPosition;
-  
+
     vReflectionFactor = fresnelBias + fresnelScale * pow( 1.0 + dot( normalize( I ), worldNormal ), fresnelPower );
-  
+
     gl_Position = projectionMatrix * mvPosition;
+    #include <logdepthbuf_vertex>
   }
   `;
   const fs = `
+  #include <logdepthbuf_pars_fragment>
   uniform vec3 color1;
   uniform vec3 color2;
-  
+  uniform float nightIntensity;
+  uniform float fresnelIntensity;
+  #ifdef USE_SUN_DIRECTION
+  uniform vec3 sunDirection;
+  #endif
+
   varying float vReflectionFactor;
-  
+  varying vec3 vWorldNormal;
+
   void main() {
+    #include <logdepthbuf_fragment>
     float f = clamp( vReflectionFactor, 0.0, 1.0 );
-    gl_FragColor = vec4(mix(color2, color1, vec3(f)), f);
+    #ifdef USE_SUN_DIRECTION
+    // 向阳面的边缘最亮，越过晨昏线后逐渐减弱到背阳面的亮度
+    f *= mix( nightIntensity, 1.0, smoothstep( -0.3, 0.4, dot( normalize( vWorldNormal ), sunDirection ) ) );
+    #endif
+    gl_FragColor = vec4(mix(color2, color1, vec3(f)) * fresnelIntensity, f);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
   }
   `;
   const fresnelMat = new THREE.ShaderMaterial({
     uniforms: uniforms,
+    defines: sunDirection ? { USE_SUN_DIRECTION: '' } : {},
     vertexShader: vs,
     fragmentShader: fs,
     transparent: true,
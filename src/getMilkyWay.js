@@ -0,0 +1,242 @@
+import * as THREE from "three";
+import { equatorialToScene } from "./ephemeris.js";
+import { SKY_POSITION_GLSL } from "./getStarfield.js";
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// 银道坐标系在J2000赤道坐标中的定义：北银极与银心的赤经、赤纬（度）
+const GALACTIC_POLE = { ra: 192.85948, dec: 27.12825 };
+const GALACTIC_CENTER = { ra: 266.405, dec: -28.936 };
+
+// 深空天体：赤经赤纬（度）、长短轴的视大小（度）、长轴的位置角（由北向东，度）与颜色
+const DEEP_SKY_OBJECTS = [
+  { name: 'M31', ra: 10.6847, dec: 41.269, major: 3.2, minor: 1.0, angle: 35, color: 0xffe6cc, brightness: 0.6 },
+  { name: 'LMC', ra: 80.894, dec: -69.756, major: 9.0, minor: 7.0, angle: 170, color: 0xdde6ff, brightness: 0.45 },
+  { name: 'SMC', ra: 13.187, dec: -72.829, major: 5.3, minor: 3.1, angle: 45, color: 0xdde6ff, brightness: 0.4 },
+  { name: 'M42', ra: 83.822, dec: -5.391, major: 1.1, minor: 1.0, angle: 0, color: 0xff88aa, brightness: 0.7 }
+];
+
+/**
+ * 生成深空天体用的椭圆光斑贴图
+ * @returns {THREE.CanvasTexture} 中心明亮、向外渐隐的圆形贴图，由四边形的长宽比拉成椭圆
+ */
+function createGlowTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.15, 'rgba(255, 255, 255, 0.55)');
+  gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.15)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 128, 128);
+  return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * 把深空天体拼成一组贴在天球上的四边形
+ * @returns {THREE.BufferGeometry} 含position、uv、color属性的几何体
+ */
+function createDeepSkyGeometry() {
+  const positions = [];
+  const uvs = [];
+  const colors = [];
+  const indices = [];
+  const celestialPole = equatorialToScene(0, 90);
+  const center = new THREE.Vector3();
+  const east = new THREE.Vector3();
+  const north = new THREE.Vector3();
+  const major = new THREE.Vector3();
+  const minor = new THREE.Vector3();
+  const corner = new THREE.Vector3();
+  const color = new THREE.Color();
+
+  DEEP_SKY_OBJECTS.forEach((object, i) => {
+    equatorialToScene(object.ra, object.dec, center);
+    // 天球切平面上的东、北方向，位置角由北向东量起
+    east.crossVectors(celestialPole, center).normalize();
+    north.crossVectors(center, east);
+    const angle = object.angle * DEG_TO_RAD;
+    major.copy(north).multiplyScalar(Math.cos(angle)).addScaledVector(east, Math.sin(angle))
+      .multiplyScalar(Math.tan(object.major * DEG_TO_RAD / 2));
+    minor.crossVectors(center, major).normalize()
+      .multiplyScalar(Math.tan(object.minor * DEG_TO_RAD / 2));
+    color.setHex(object.color).multiplyScalar(object.brightness);
+
+    for (const [u, v] of [[0, 0], [1, 0], [1, 1], [0, 1]]) {
+      corner.copy(center).addScaledVector(major, u * 2 - 1).addScaledVector(minor, v * 2 - 1);
+      positions.push(corner.x, corner.y, corner.z);
+      uvs.push(u, v);
+      colors.push(color.r, color.g, color.b);
+    }
+    indices.push(i * 4, i * 4 + 1, i * 4 + 2, i * 4, i * 4 + 2, i * 4 + 3);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+/**
+ * 创建银河与深空天体背景层，与星空一样渲染在无穷远处
+ * 银河带按银道面程序化生成：向银心方向变亮、变厚，并叠加噪声起伏与沿银道面的暗尘带
+ * @param {Object} options - 配置选项
+ * @param {Number} options.intensity - 亮度倍率，0为纯黑的天空
+ * @param {Boolean} options.visible - 是否显示
+ * @returns {Object} 包含group、setIntensity、getIntensity、setVisible、isVisible方法的对象
+ */
+export default function getMilkyWay(options = {}) {
+  // 默认配置
+  const config = {
+    intensity: 1.0,   // 亮度倍率
+    visible: true,
+    ...options
+  };
+
+  const group = new THREE.Group();
+  group.name = 'milkyWay';
+  group.visible = config.visible;
+
+  // 银道坐标轴：银心方向按北银极正交化，避免两组坐标的舍入误差
+  const galacticPole = equatorialToScene(GALACTIC_POLE.ra, GALACTIC_POLE.dec);
+  const galacticCenter = equatorialToScene(GALACTIC_CENTER.ra, GALACTIC_CENTER.dec);
+  galacticCenter.addScaledVector(galacticPole, -galacticCenter.dot(galacticPole)).normalize();
+
+  const intensity = { value: config.intensity };
+
+  const bandMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      galacticPole: { value: galacticPole },
+      galacticCenter: { value: galacticCenter },
+      intensity
+    },
+    vertexShader: SKY_POSITION_GLSL + `
+      varying vec3 vDirection;
+
+      void main() {
+        vDirection = position;
+        gl_Position = getSkyPosition(position);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 galacticPole;
+      uniform vec3 galacticCenter;
+      uniform float intensity;
+      varying vec3 vDirection;
+
+      float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+      }
+
+      // 三维值噪声
+      float noise(vec3 p) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(
+          mix(mix(hash(i), hash(i + vec3(1, 0, 0)), f.x),
+              mix(hash(i + vec3(0, 1, 0)), hash(i + vec3(1, 1, 0)), f.x), f.y),
+          mix(mix(hash(i + vec3(0, 0, 1)), hash(i + vec3(1, 0, 1)), f.x),
+              mix(hash(i + vec3(0, 1, 1)), hash(i + vec3(1, 1, 1)), f.x), f.y),
+          f.z);
+      }
+
+      float fbm(vec3 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < 5; i++) {
+          value += amplitude * noise(p);
+          p *= 2.0;
+          amplitude *= 0.5;
+        }
+        return value;
+      }
+
+      void main() {
+        vec3 direction = normalize(vDirection);
+
+        // 银纬b与银经l（银心为0）
+        float b = asin(clamp(dot(direction, galacticPole), -1.0, 1.0));
+        vec3 galacticEast = cross(galacticPole, galacticCenter);
+        float l = atan(dot(direction, galacticEast), dot(direction, galacticCenter));
+
+        // 银盘：向银心方向变厚、变亮；银心附近再叠加核球
+        float toCenter = exp(-l * l / 1.6);
+        float width = radians(5.0) + radians(7.0) * toCenter;
+        float band = exp(-b * b / (2.0 * width * width));
+        float bulge = exp(-(l * l + 4.0 * b * b) / 0.12);
+        float brightness = band * (0.3 + 0.7 * toCenter) + 0.5 * bulge;
+
+        // 星云状的明暗起伏，以及略偏北、沿银道面延伸的暗尘带
+        brightness *= 0.55 + 0.9 * fbm(direction * 8.0);
+        float lane = exp(-pow((b - radians(1.0)) / radians(2.5), 2.0)) * (0.4 + 0.6 * toCenter);
+        brightness *= 1.0 - 0.75 * lane * smoothstep(0.35, 0.65, fbm(direction * 14.0 + 7.0));
+
+        // 银心方向偏暖，外侧偏冷
+        vec3 color = mix(vec3(0.6, 0.68, 0.85), vec3(1.0, 0.86, 0.68), toCenter);
+        gl_FragColor = vec4(color * brightness * intensity * 0.25, 1.0);
+      }
+    `,
+    side: THREE.BackSide,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    depthFunc: THREE.LessEqualDepth
+  });
+  const band = new THREE.Mesh(new THREE.SphereGeometry(1, 96, 48), bandMaterial);
+  band.frustumCulled = false;
+  band.renderOrder = -2;
+  group.add(band);
+
+  const deepSkyMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      map: { value: createGlowTexture() },
+      intensity
+    },
+    vertexShader: SKY_POSITION_GLSL + `
+      attribute vec3 color;
+      varying vec3 vColor;
+      varying vec2 vUv;
+
+      void main() {
+        vColor = color;
+        vUv = uv;
+        gl_Position = getSkyPosition(position);
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D map;
+      uniform float intensity;
+      varying vec3 vColor;
+      varying vec2 vUv;
+
+      void main() {
+        gl_FragColor = vec4(vColor * texture2D(map, vUv).a * intensity, 1.0);
+      }
+    `,
+    side: THREE.DoubleSide,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    depthFunc: THREE.LessEqualDepth
+  });
+  const deepSky = new THREE.Mesh(createDeepSkyGeometry(), deepSkyMaterial);
+  deepSky.frustumCulled = false;
+  deepSky.renderOrder = -2;
+  group.add(deepSky);
+
+  return {
+    group,
+    setIntensity: (value) => { intensity.value = value; },
+    getIntensity: () => intensity.value,
+    setVisible: (value) => { group.visible = value; },
+    isVisible: () => group.visible
+  };
+}
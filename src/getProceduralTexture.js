@@ -0,0 +1,198 @@
+import * as THREE from "three";
+
+/**
+ * 创建可复现的伪随机数生成器（mulberry32）
+ * @param {Number} seed - 随机种子
+ * @returns {Function} 返回[0, 1)随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 创建二维值噪声，x方向按周期平铺，保证贴到球面上时经线接缝处连续
+ * @param {Function} random - 随机数生成器
+ * @param {Number} period - x方向的格点数
+ * @param {Number} rows - y方向的格点数
+ * @returns {Function} noise(x, y)，返回[0, 1]
+ */
+function createValueNoise(random, period, rows) {
+  const lattice = new Float32Array(period * (rows + 1));
+  for (let i = 0; i < lattice.length; i++) {
+    lattice[i] = random();
+  }
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  return (x, y) => {
+    const x0 = Math.floor(x);
+    const y0 = Math.min(Math.floor(y), rows - 1);
+    const tx = smooth(x - x0);
+    const ty = smooth(y - y0);
+    const xa = ((x0 % period) + period) % period;
+    const xb = (xa + 1) % period;
+    const a = lattice[y0 * period + xa];
+    const b = lattice[y0 * period + xb];
+    const c = lattice[(y0 + 1) * period + xa];
+    const d = lattice[(y0 + 1) * period + xb];
+    return (a + (b - a) * tx) + ((c + (d - c) * tx) - (a + (b - a) * tx)) * ty;
+  };
+}
+
+/**
+ * 分形噪声：叠加多个倍频的值噪声
+ * @param {Function[]} octaves - 各倍频的噪声函数，第i个的格点数为基础格点数的2^i倍
+ * @param {Number} u - 横向坐标[0, 1]
+ * @param {Number} v - 纵向坐标[0, 1]
+ * @param {Number} cells - 基础格点数
+ * @returns {Number} [0, 1]
+ */
+function fbm(octaves, u, v, cells) {
+  let value = 0;
+  let amplitude = 0.5;
+  let total = 0;
+  for (let i = 0; i < octaves.length; i++) {
+    const frequency = cells * Math.pow(2, i);
+    value += octaves[i](u * frequency, v * frequency / 2) * amplitude;
+    total += amplitude;
+    amplitude *= 0.5;
+  }
+  return value / total;
+}
+
+/**
+ * 在调色板颜色之间按比例插值
+ * @param {THREE.Color[]} palette - 调色板
+ * @param {Number} t - [0, 1]
+ * @param {THREE.Color} target - 写入结果的颜色
+ * @returns {THREE.Color} 插值后的颜色
+ */
+function samplePalette(palette, t, target) {
+  const scaled = Math.min(Math.max(t, 0), 1) * (palette.length - 1);
+  const index = Math.min(Math.floor(scaled), palette.length - 2);
+  return target.copy(palette[index]).lerp(palette[index + 1], scaled - index);
+}
+
+// 各风格的明度函数，返回值用于在调色板中取色
+const STYLES = {
+  // 岩石表面：分形噪声叠加少量陨石坑
+  rocky(noise, u, v, craters) {
+    let value = noise(u, v);
+    for (const crater of craters) {
+      const du = Math.min(Math.abs(u - crater.u), 1 - Math.abs(u - crater.u)) * 2;
+      const distance = Math.hypot(du, v - crater.v) / crater.radius;
+      if (distance < 1) {
+        // 坑底变暗，坑缘变亮
+        value += distance < 0.8 ? -0.15 * (1 - distance / 0.8) : 0.2 * (1 - Math.abs(distance - 0.9) / 0.1);
+      }
+    }
+    return value;
+  },
+  // 气态巨行星：沿纬度分布的条带，用噪声扰动边缘
+  banded(noise, u, v) {
+    const turbulence = (noise(u, v) - 0.5) * 0.08;
+    const bands = Math.sin((v + turbulence) * Math.PI * 14) * 0.5 + 0.5;
+    return bands * 0.75 + noise(u * 0.5, v) * 0.25;
+  },
+  // 冰壳：低对比度的底色加上细裂纹
+  ice(noise, u, v) {
+    const base = noise(u, v);
+    const crack = Math.abs(noise(u + 0.37, 1 - v) - 0.5);
+    return base * 0.6 + 0.4 - (crack < 0.015 ? 0.35 : 0);
+  }
+};
+
+/**
+ * 在画布上生成程序化的天体表面图像
+ * @param {Object} options - 配置选项
+ * @param {String} options.style - 风格：rocky(岩石) | banded(条带) | ice(冰壳)
+ * @param {Number[]} options.colors - 调色板，按明度从暗到亮排列的十六进制颜色
+ * @param {Number} options.seed - 随机种子，相同种子生成相同图像
+ * @param {Number} options.craters - 岩石风格的陨石坑数量
+ * @returns {HTMLCanvasElement} 生成的画布（等距圆柱投影，宽为高的两倍）
+ */
+export function createProceduralCanvas(options = {}) {
+  // 默认配置
+  const config = {
+    style: 'rocky',
+    colors: [0x333333, 0x888888, 0xcccccc],
+    seed: 1,
+    width: 512,
+    height: 256,
+    cells: 8,   // 基础噪声格点数
+    octaves: 5,
+    craters: 40, // 岩石风格的陨石坑数量
+    ...options
+  };
+
+  const random = createRandom(config.seed);
+  const octaves = [];
+  for (let i = 0; i < config.octaves; i++) {
+    const period = config.cells * Math.pow(2, i);
+    octaves.push(createValueNoise(random, period, period / 2 + 1));
+  }
+  const noise = (u, v) => fbm(octaves, ((u % 1) + 1) % 1, Math.min(Math.max(v, 0), 1), config.cells);
+
+  const craters = [];
+  if (config.style === 'rocky') {
+    for (let i = 0; i < config.craters; i++) {
+      craters.push({ u: random(), v: 0.1 + random() * 0.8, radius: 0.01 + Math.pow(random(), 3) * 0.06 });
+    }
+  }
+
+  const shade = STYLES[config.style] || STYLES.rocky;
+  const palette = config.colors.map((hex) => new THREE.Color(hex));
+  if (palette.length === 1) palette.push(palette[0].clone());
+  const color = new THREE.Color();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = config.width;
+  canvas.height = config.height;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(config.width, config.height);
+
+  for (let y = 0; y < config.height; y++) {
+    const v = y / (config.height - 1);
+    for (let x = 0; x < config.width; x++) {
+      const u = x / config.width;
+      samplePalette(palette, shade(noise, u, v, craters), color);
+      const i = (y * config.width + x) * 4;
+      image.data[i] = color.r * 255;
+      image.data[i + 1] = color.g * 255;
+      image.data[i + 2] = color.b * 255;
+      image.data[i + 3] = 255;
+    }
+  }
+  context.putImageData(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * 创建纯色画布，用作法线、高光等辅助贴图加载失败时的中性替代
+ * @param {String} color - CSS颜色
+ * @returns {HTMLCanvasElement} 1x1画布
+ */
+export function createSolidCanvas(color) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 1;
+  const context = canvas.getContext('2d');
+  context.fillStyle = color;
+  context.fillRect(0, 0, 1, 1);
+  return canvas;
+}
+
+/**
+ * 创建程序化的天体表面贴图
+ * @param {Object} options - 配置选项，见createProceduralCanvas
+ * @returns {THREE.CanvasTexture} 贴图
+ */
+export default function getProceduralTexture(options = {}) {
+  return new THREE.CanvasTexture(createProceduralCanvas(options));
+}
@@ -14,6 +14,7 @@ export default function getShipExhaust(options = {}) {
     lifetime: { min: 0.5, max: 0.6 },  // 缩短粒子生命周期
     speed: { min: 0.2, max: 0.6 },     // 减小粒子速度
     spread: { x: 0.05, y: 0.05, z: 0.08 }, // 缩小扩散范围，使喷射更集中
+    loadingManager: undefined,             // 资源加载管理器，可选
     ...options
   };
 
@@ -34,7 +35,7 @@ export default function getShipExhaust(options = {}) {
 
   // 尝试加载粒子贴图，使粒子看起来更柔和
   try {
-    const textureLoader = new THREE.TextureLoader();
+    const textureLoader = new THREE.TextureLoader(config.loadingManager);
     const particleTexture = textureLoader.load('./textures/stars/circle.png');
     material.map = particleTexture;
     material.alphaMap = particleTexture; // 同时作为alpha贴图
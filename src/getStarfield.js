@@ -1,79 +1,189 @@
 import * as THREE from "three";
+import { equatorialToScene } from "./ephemeris.js";
+
+// 天球上的方向 -> 裁剪坐标：w为0时只受旋转影响，星空随相机平移而不动；
+// 深度固定在远裁剪面上，与相机距离无关，且不写入对数深度，任何天体都在其前方
+export const SKY_POSITION_GLSL = `
+  vec4 getSkyPosition(vec3 direction) {
+    vec4 viewDirection = modelViewMatrix * vec4(direction, 0.0);
+    vec4 clipPosition = projectionMatrix * vec4(viewDirection.xyz, 1.0);
+    clipPosition.z = clipPosition.w;
+    return clipPosition;
+  }
+`;
 
 /**
- * 创建星空背景
+ * 由B-V色指数估算恒星颜色
+ * 先用Ballesteros公式求有效温度，再按黑体辐射的近似拟合换算为RGB
+ * @param {Number} bv - B-V色指数，缺失时按白色处理
+ * @param {THREE.Color} target - 用于写入结果的颜色，可选
+ * @returns {THREE.Color} 恒星颜色
+ */
+export function bvToColor(bv, target = new THREE.Color()) {
+  if (bv === null || bv === undefined || Number.isNaN(bv)) {
+    return target.setRGB(1, 1, 1);
+  }
+  const index = THREE.MathUtils.clamp(bv, -0.4, 2.0);
+  const temperature = 4600 * (1 / (0.92 * index + 1.7) + 1 / (0.92 * index + 0.62));
+
+  // 黑体颜色拟合，温度以百开尔文计
+  const t = temperature / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66
+    ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+
+  return target.setRGB(
+    THREE.MathUtils.clamp(red, 0, 255) / 255,
+    THREE.MathUtils.clamp(green, 0, 255) / 255,
+    THREE.MathUtils.clamp(blue, 0, 255) / 255
+  );
+}
+
+/**
+ * 创建星空背景：从本地星表加载真实的亮星，按赤经赤纬放在天球上
+ * 星点大小与亮度在着色器中由星等和曝光量计算，B-V色指数决定颜色
+ * 星星只记录方向，渲染在无穷远处：没有视差、不会被飞船穿过，也不会被远裁剪面裁掉，但仍会被天体遮挡
  * @param {Object} options - 配置选项
- * @returns {THREE.Points} 星空对象
+ * @param {Number} options.numStars - 最多显示的星星数量，按亮度从高到低选取
+ * @param {Number} options.size - 曝光量为1时最暗的星星的大小（像素）
+ * @param {Number} options.minSize - 星点的最小像素尺寸，更小的星星保持该尺寸并按面积降低亮度
+ * @param {Number} options.twinkle - 闪烁幅度，0为不闪烁
+ * @param {Number} options.exposure - 初始曝光量，星星的亮度与之成正比
+ * @param {String} options.catalogUrl - 星表文件地址
+ * @param {THREE.LoadingManager} options.loadingManager - 资源加载管理器，可选
+ * @returns {Object} 包含points、update(time)、setExposure、getExposure方法的对象，星表加载完成后填充points
  */
 export default function getStarfield(options = {}) {
-  // 限制星星的最大数量为5000，防止数组长度过大
-  const numStars = Math.min(options.numStars || 500, 5000);
-  
-  function randomSpherePoint() {
-    const radius = Math.random() * 3000 + 3000; // 大幅减小半径范围，使星星更靠近场景中心
-    const u = Math.random();
-    const v = Math.random();
-    const theta = 2 * Math.PI * u;
-    const phi = Math.acos(2 * v - 1);
-    let x = radius * Math.sin(phi) * Math.cos(theta);
-    let y = radius * Math.sin(phi) * Math.sin(theta);
-    let z = radius * Math.cos(phi);
-
-    // 随机色调，添加一些红色和蓝色星星
-    let hue;
-    const colorType = Math.random();
-    if (colorType < 0.7) {
-      // 大多数是白色/蓝白色
-      hue = 0.6 + Math.random() * 0.1;
-    } else if (colorType < 0.85) {
-      // 一些红色/橙色
-      hue = Math.random() * 0.1;
-    } else {
-      // 一些青色/绿色
-      hue = 0.3 + Math.random() * 0.2;
-    }
-
-    return {
-      pos: new THREE.Vector3(x, y, z),
-      hue: hue,
-      minDist: radius,
-    };
-  }
-  const verts = [];
-  const colors = [];
-  const positions = [];
-  let col;
-  for (let i = 0; i < numStars; i += 1) {
-    let p = randomSpherePoint();
-    const { pos, hue } = p;
-    positions.push(p);
-    
-    // 增加饱和度，并随机亮度，使星星看起来更加明亮和多样化
-    const saturation = 0.3 + Math.random() * 0.5;
-    const lightness = 0.6 + Math.random() * 0.4;
-    col = new THREE.Color().setHSL(hue, saturation, lightness);
-    
-    verts.push(pos.x, pos.y, pos.z);
-    colors.push(col.r, col.g, col.b);
-  }
+  // 默认配置
+  const config = {
+    numStars: Infinity,               // 最多显示的星星数量
+    size: 1.5,                        // 曝光量为1时最暗的星星的大小（像素）
+    minSize: 1.0,                     // 星点的最小像素尺寸
+    twinkle: 0.12,                    // 闪烁幅度
+    exposure: 1.0,                    // 曝光量
+    limitingMagnitude: 6.5,           // 极限星等，更暗的星星不显示
+    catalogUrl: './data/stars.json',  // 星表：[赤经, 赤纬, 视星等, B-V]，按星等排序
+    ...options
+  };
+
   const geo = new THREE.BufferGeometry();
-  geo.setAttribute("position", new THREE.Float32BufferAttribute(verts, 3));
-  geo.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
-  const mat = new THREE.PointsMaterial({
-    size: 15.0, // 增大星星的尺寸，使其更加明显
-    vertexColors: true,
-    map: new THREE.TextureLoader().load(
-      "./textures/stars/circle.png"
-    ),
+  const mat = new THREE.ShaderMaterial({
+    uniforms: {
+      size: { value: config.size },
+      minSize: { value: config.minSize },
+      twinkle: { value: config.twinkle },
+      exposure: { value: config.exposure },
+      limitingMagnitude: { value: config.limitingMagnitude },
+      time: { value: 0 },
+      map: {
+        value: new THREE.TextureLoader(config.loadingManager).load(
+          "./textures/stars/circle.png"
+        )
+      }
+    },
+    vertexShader: SKY_POSITION_GLSL + `
+      uniform float size;
+      uniform float minSize;
+      uniform float twinkle;
+      uniform float exposure;
+      uniform float limitingMagnitude;
+      uniform float time;
+      attribute float magnitude;
+      attribute vec3 color;
+      varying vec3 vColor;
+
+      void main() {
+        // 相对极限星等的亮度比；星点直径按其四次方根增大，天狼星约为最暗星的6倍
+        float flux = exposure * pow(10.0, 0.4 * (limitingMagnitude - magnitude));
+        float diameter = size * pow(flux, 0.25);
+        float brightness = min(1.0, 0.3 * diameter / size);
+        // 小于最小像素尺寸时保持该尺寸，按面积降低亮度，使总光量不变
+        if (diameter < minSize) {
+          brightness *= (diameter / minSize) * (diameter / minSize);
+          diameter = minSize;
+        }
+
+        // 闪烁：每颗星按方向取不同的相位与频率
+        float phase = fract(sin(dot(position, vec3(12.9898, 78.233, 45.164))) * 43758.5453);
+        float scintillation = 0.6 * sin(time * (2.0 + 3.0 * phase) + phase * 6.2832)
+          + 0.4 * sin(time * (5.3 + 2.0 * phase) + phase * 17.0);
+        brightness *= 1.0 + twinkle * scintillation;
+
+        vColor = color * brightness;
+        gl_Position = getSkyPosition(position);
+        gl_PointSize = diameter;
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D map;
+      varying vec3 vColor;
+
+      void main() {
+        vec4 texColor = texture2D(map, gl_PointCoord);
+        gl_FragColor = vec4(vColor, 1.0) * texColor;
+      }
+    `,
     transparent: true,
     // 添加以下属性使星星看起来更亮
     blending: THREE.AdditiveBlending,
     depthTest: true, // 开启深度测试，确保星星能被行星遮挡
-    depthWrite: true, // 开启深度写入
-    opacity: 1.0 // 增加不透明度为最大值
+    depthWrite: false, // 星空本身不写入深度，不会遮挡任何物体
+    depthFunc: THREE.LessEqualDepth // 深度恰好等于远裁剪面时仍然绘制
   });
   const points = new THREE.Points(geo, mat);
   points.name = "starfield"; // 添加名称以便于调试
-  console.log("创建了星空对象，星星数量:", numStars);
-  return points;
+  // 顶点只是方向，包围球不代表真实范围
+  points.frustumCulled = false;
+  // 最先绘制，作为背景
+  points.renderOrder = -1;
+
+  /**
+   * 按星表数据填充几何体
+   * @param {Array} catalog - 星表条目 [赤经, 赤纬, 视星等, B-V]
+   */
+  function buildStars(catalog) {
+    const stars = catalog
+      .filter((star) => star[2] <= config.limitingMagnitude)
+      .slice(0, config.numStars);
+    const verts = new Float32Array(stars.length * 3);
+    const colors = new Float32Array(stars.length * 3);
+    const magnitudes = new Float32Array(stars.length);
+    const direction = new THREE.Vector3();
+    const col = new THREE.Color();
+
+    stars.forEach(([ra, dec, mag, bv], i) => {
+      equatorialToScene(ra, dec, direction);
+      verts.set([direction.x, direction.y, direction.z], i * 3);
+      magnitudes[i] = mag;
+      bvToColor(bv, col);
+      colors.set([col.r, col.g, col.b], i * 3);
+    });
+
+    geo.setAttribute("position", new THREE.Float32BufferAttribute(verts, 3));
+    geo.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+    geo.setAttribute("magnitude", new THREE.Float32BufferAttribute(magnitudes, 1));
+  }
+
+  const loader = new THREE.FileLoader(config.loadingManager);
+  loader.setResponseType('json');
+  loader.load(config.catalogUrl, (data) => buildStars(data.stars), undefined, (error) => {
+    console.error("星表加载失败:", error);
+  });
+
+  /**
+   * 推进闪烁动画
+   * @param {Number} time - 真实时间（秒）
+   */
+  function update(time) {
+    mat.uniforms.time.value = time;
+  }
+
+  return {
+    points,
+    update,
+    setExposure: (value) => { mat.uniforms.exposure.value = value; },
+    getExposure: () => mat.uniforms.exposure.value
+  };
 }
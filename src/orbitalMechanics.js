@@ -0,0 +1,116 @@
+import * as THREE from "three";
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * 求解开普勒方程 M = E - e·sinE
+ * @param {Number} meanAnomaly - 平近点角（弧度）
+ * @param {Number} eccentricity - 偏心率（0 <= e < 1）
+ * @returns {Number} 偏近点角E（弧度）
+ */
+export function solveKepler(meanAnomaly, eccentricity) {
+  // 将平近点角归一化到[-π, π]，保证牛顿迭代收敛
+  let M = meanAnomaly % (2 * Math.PI);
+  if (M > Math.PI) M -= 2 * Math.PI;
+  if (M < -Math.PI) M += 2 * Math.PI;
+
+  // 高偏心率轨道从π开始迭代更稳定
+  let E = eccentricity < 0.8 ? M : Math.PI * Math.sign(M || 1);
+  for (let i = 0; i < 30; i++) {
+    const dE = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+  return E;
+}
+
+/**
+ * 瑞利分布抽样，供小行星带与柯伊伯带生成偏心率与轨道倾角
+ * @param {Number} sigma - 分布参数
+ * @returns {Number} 样本
+ */
+export function sampleRayleigh(sigma) {
+  return sigma * Math.sqrt(-2 * Math.log(1 - Math.random()));
+}
+
+/**
+ * 根据轨道根数计算天体在某一时刻相对于中心天体的位置
+ * 结果已从黄道坐标系(z轴指向黄北极)转换到场景坐标系(y轴向上)
+ * @param {Object} elements - 轨道根数（半长轴、偏心率、倾角、升交点经度、近日点幅角、平近点角、周期）
+ * @param {Number} days - 相对于根数历元的天数
+ * @param {THREE.Vector3} target - 用于写入结果的向量，可选
+ * @returns {THREE.Vector3} 与半长轴同单位的位置
+ */
+export function getOrbitalPosition(elements, days, target = new THREE.Vector3()) {
+  const a = elements.semiMajorAxis;
+  const e = elements.eccentricity;
+  const i = elements.inclination * DEG_TO_RAD;
+  const node = elements.longitudeOfAscendingNode * DEG_TO_RAD;
+  const peri = elements.argumentOfPerihelion * DEG_TO_RAD;
+
+  // 平近点角随时间线性增长
+  const M = elements.meanAnomaly * DEG_TO_RAD + 2 * Math.PI * days / elements.period;
+  const E = solveKepler(M, e);
+
+  // 轨道平面内的坐标（近日点方向为x轴）
+  const xOrbit = a * (Math.cos(E) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  // 依次绕近日点幅角、轨道倾角、升交点经度旋转到黄道坐标系
+  const cosNode = Math.cos(node);
+  const sinNode = Math.sin(node);
+  const cosPeri = Math.cos(peri);
+  const sinPeri = Math.sin(peri);
+  const cosI = Math.cos(i);
+  const sinI = Math.sin(i);
+
+  const x = (cosPeri * cosNode - sinPeri * sinNode * cosI) * xOrbit
+          + (-sinPeri * cosNode - cosPeri * sinNode * cosI) * yOrbit;
+  const y = (cosPeri * sinNode + sinPeri * cosNode * cosI) * xOrbit
+          + (-sinPeri * sinNode + cosPeri * cosNode * cosI) * yOrbit;
+  const z = (sinPeri * sinI) * xOrbit + (cosPeri * sinI) * yOrbit;
+
+  // 黄道坐标(x, y, z) -> 场景坐标(x, z, -y)
+  return target.set(x, z, -y);
+}
+
+/**
+ * 顶点着色器中的开普勒轨道计算，与getOrbitalPosition一致，供大量小天体在GPU上推进公转
+ * 需要uniform days（自J2000历元起的天数），以及每个顶点/实例的orbitShape、orbitPhase属性，
+ * 结果以AU为单位，可再用scaleModes.js中的mapHeliocentric换算为场景坐标
+ */
+export const ORBIT_POSITION_GLSL = `
+  uniform float days;
+  attribute vec4 orbitShape; // 半长轴(AU)、偏心率、轨道倾角、升交点黄经（弧度）
+  attribute vec3 orbitPhase; // 近日点幅角、J2000平近点角（弧度）、平均角速度（弧度/天）
+
+  vec3 getOrbitPosition() {
+    float a = orbitShape.x;
+    float e = orbitShape.y;
+    float M = mod(orbitPhase.y + orbitPhase.z * days, 6.28318530718);
+
+    // 牛顿迭代求解开普勒方程，高偏心率轨道从π开始迭代
+    float E = e < 0.8 ? M + e * sin(M) : 3.14159265359;
+    for (int k = 0; k < 8; k++) {
+      E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+    }
+    float xOrbit = a * (cos(E) - e);
+    float yOrbit = a * sqrt(1.0 - e * e) * sin(E);
+
+    float cosNode = cos(orbitShape.w);
+    float sinNode = sin(orbitShape.w);
+    float cosPeri = cos(orbitPhase.x);
+    float sinPeri = sin(orbitPhase.x);
+    float cosI = cos(orbitShape.z);
+    float sinI = sin(orbitShape.z);
+
+    float x = (cosPeri * cosNode - sinPeri * sinNode * cosI) * xOrbit
+            + (-sinPeri * cosNode - cosPeri * sinNode * cosI) * yOrbit;
+    float y = (cosPeri * sinNode + sinPeri * cosNode * cosI) * xOrbit
+            + (-sinPeri * sinNode + cosPeri * cosNode * cosI) * yOrbit;
+    float z = (sinPeri * sinI) * xOrbit + (cosPeri * sinI) * yOrbit;
+
+    // 黄道坐标(x, y, z) -> 场景坐标(x, z, -y)
+    return vec3(x, z, -y);
+  }
+`;
@@ -0,0 +1,146 @@
+import { EARTH_RADIUS } from "./bodyCatalog.js";
+
+// 地球真实半径与1AU（千米）
+const EARTH_RADIUS_KM = 6371;
+const AU_KM = 149597870.7;
+
+// 真实比例下1AU对应的场景单位（地球半径固定为EARTH_RADIUS个场景单位）
+const TRUE_AU = AU_KM / EARTH_RADIUS_KM * EARTH_RADIUS;
+
+// 压缩比例下1AU对应的场景单位，飞船在该比例下的速度倍率为1
+const COMPRESSED_AU = 600;
+
+// 日心距离的分段节点（AU）：八大行星的半长轴、小行星带内外缘以及柯伊伯带和更远处
+// 各尺度模式给出每个节点对应的场景距离，节点之间线性插值，超出最后一个节点后按最后一段的斜率外推
+export const DISTANCE_KNOTS = [
+  0, 0.387, 0.723, 1, 1.524, 2.2, 3.3, 5.203, 9.537, 19.19, 30.07, 39.48, 50, 68, 100, 200, 500, 1000
+];
+
+// 示意模式中各节点所在的轨道序号：行星依次等间距排列
+const SCHEMATIC_SLOTS = [0, 1, 2, 3, 4, 4.4, 4.7, 5, 6, 7, 8, 9, 9.5, 10, 10.5, 11, 12, 13];
+
+/**
+ * 尺度模式
+ * - distances：各距离节点对应的场景距离
+ * - radiusExponent：天体半径 = 地球半径 × radiusRatio^radiusExponent
+ * - sunRadius：太阳半径（场景单位），为null时按上式计算
+ * - satelliteCompression：卫星距离（以中心天体半径计）在行星环以外按该指数的幂律压缩
+ * - satelliteSpacing：不为null时卫星轨道按由近到远的次序等间距排列，间距以中心天体半径计
+ * - shipSpeed：飞船速度的倍率，按1AU对应的场景距离换算，使各模式下飞越1AU所需的时间相同
+ * - labelScale：标签大小的倍率
+ * - camera：相机的近、远裁剪面
+ * - originThreshold：飞船离场景原点超过该距离时重新定位浮动原点；飞船越快阈值越大以免频繁重定位，
+ *   但float32在该距离处的精度仍需远小于飞船尺寸
+ */
+export const SCALE_MODES = {
+  // 真实比例：真实的距离与半径
+  true: {
+    label: '真实比例',
+    distances: DISTANCE_KNOTS.map((r) => r * TRUE_AU),
+    radiusExponent: 1,
+    sunRadius: null,
+    satelliteCompression: 1,
+    satelliteSpacing: null,
+    labelScale: 10,
+    camera: { near: 0.01, far: 1e9 },
+    originThreshold: 20000
+  },
+  // 压缩比例：日心距离取对数，天体半径相对距离大幅放大
+  compressed: {
+    label: '压缩比例',
+    distances: DISTANCE_KNOTS.map((r) => COMPRESSED_AU * Math.log2(1 + r)),
+    radiusExponent: 1,
+    sunRadius: 150,
+    // 月球实际约60倍地球半径，压缩到2.5倍
+    satelliteCompression: Math.log(2.5) / Math.log(60.3),
+    satelliteSpacing: null,
+    labelScale: 1,
+    camera: { near: 0.01, far: 100000 },
+    originThreshold: 1000
+  },
+  // 示意图：行星轨道等间距排列，半径差异也被缩小
+  schematic: {
+    label: '示意图',
+    distances: SCHEMATIC_SLOTS.map((slot) => slot * 350),
+    radiusExponent: 0.5,
+    sunRadius: 100,
+    satelliteCompression: 1,
+    satelliteSpacing: 1.5,
+    labelScale: 1,
+    camera: { near: 0.01, far: 100000 },
+    originThreshold: 1000
+  }
+};
+
+// 飞船速度倍率由各模式中1AU的场景距离得出
+Object.values(SCALE_MODES).forEach((mode) => {
+  mode.shipSpeed = mapDistance(1, mode.distances) / COMPRESSED_AU;
+});
+
+/**
+ * 按分段节点把日心距离换算为场景距离
+ * @param {Number} r - 日心距离（AU）
+ * @param {ArrayLike<Number>} distances - 各节点对应的场景距离，见SCALE_MODES
+ * @returns {Number} 场景距离
+ */
+export function mapDistance(r, distances) {
+  const last = DISTANCE_KNOTS.length - 1;
+  for (let k = 1; k <= last; k++) {
+    if (r <= DISTANCE_KNOTS[k] || k === last) {
+      const t = (r - DISTANCE_KNOTS[k - 1]) / (DISTANCE_KNOTS[k] - DISTANCE_KNOTS[k - 1]);
+      return distances[k - 1] + (distances[k] - distances[k - 1]) * t;
+    }
+  }
+  return 0;
+}
+
+/**
+ * 计算天体在指定尺度模式下的半径
+ * @param {Object} mode - 尺度模式，见SCALE_MODES
+ * @param {Object} body - 天体目录条目
+ * @returns {Number} 半径（场景单位）
+ */
+export function getModeRadius(mode, body) {
+  if (body.type === 'star' && mode.sunRadius !== null) {
+    return mode.sunRadius;
+  }
+  return EARTH_RADIUS * Math.pow(body.radiusRatio, mode.radiusExponent);
+}
+
+/**
+ * 计算卫星在指定尺度模式下到中心天体的距离
+ * @param {Object} mode - 尺度模式，见SCALE_MODES
+ * @param {Number} distance - 真实距离（以中心天体半径计）
+ * @param {Number} semiMajorAxis - 轨道半长轴（以中心天体半径计），等间距排列时用于保持轨道形状
+ * @param {Number} knee - 行星环外缘（以中心天体半径计，无环时为1），压缩只作用于其外侧
+ * @param {Number} rank - 卫星在同一中心天体的卫星中由近到远的次序（从0开始）
+ * @returns {Number} 显示距离（以中心天体半径计）
+ */
+export function getSatelliteDistance(mode, distance, semiMajorAxis, knee, rank) {
+  if (mode.satelliteSpacing !== null) {
+    return distance / semiMajorAxis * (knee + mode.satelliteSpacing * (rank + 1));
+  }
+  return knee * Math.pow(distance / knee, mode.satelliteCompression);
+}
+
+// 顶点着色器中的日心距离换算，与mapDistance一致；节点数组由createSolarSystem共享给各粒子带
+export const MAP_DISTANCE_GLSL = `
+  #define DISTANCE_KNOT_COUNT ${DISTANCE_KNOTS.length}
+  uniform float knotRadii[DISTANCE_KNOT_COUNT];
+  uniform float knotDistances[DISTANCE_KNOT_COUNT];
+  // 浮动原点在太阳系坐标中的位置：粒子带网格放在该处，着色器先减去它再投影，
+  // 避免很大的日心坐标在float32中与同样很大的平移相抵而抖动
+  uniform vec3 sceneOrigin;
+
+  // 把以AU为单位的日心位置换算为场景坐标
+  vec3 mapHeliocentric(vec3 position) {
+    float r = length(position);
+    if (r <= 0.0) return position;
+    float mapped = 0.0;
+    for (int k = 1; k < DISTANCE_KNOT_COUNT; k++) {
+      mapped = mix(knotDistances[k - 1], knotDistances[k], (r - knotRadii[k - 1]) / (knotRadii[k] - knotRadii[k - 1]));
+      if (r <= knotRadii[k]) break;
+    }
+    return position * (mapped / r);
+  }
+`;